@@ -0,0 +1,28 @@
+import { authors, genres } from './catalogue.js'
+import { authorProfile } from './bookStats.js'
+
+export const createAuthorView = (bookList) => {
+    const authorView = {
+        bookList,
+
+        render(authorId) {
+            const profile = authorProfile(this.bookList.books, authorId)
+            const span = profile.firstYear === profile.lastYear
+                ? `${profile.firstYear}`
+                : `${profile.firstYear}–${profile.lastYear}`
+
+            document.querySelector('[data-author-name]').innerText = authors[authorId]
+            document.querySelector('[data-author-count]').innerText = `${profile.count} ${profile.count === 1 ? 'book' : 'books'}`
+            document.querySelector('[data-author-span]').innerText = span
+            document.querySelector('[data-author-pages]').innerText = profile.averagePages ? `${profile.averagePages} pages` : '–'
+            document.querySelector('[data-author-genres]').innerText = profile.topGenres
+                .map(({ id, count }) => `${genres[id]} (${count})`)
+                .join(', ') || '–'
+
+            const fragment = document.createDocumentFragment()
+            profile.books.forEach(book => fragment.appendChild(book.previewElement({ entry: this.bookList.library.entryFor(book.id) })))
+            document.querySelector('[data-author-items]').replaceChildren(fragment)
+        }
+    }
+    return authorView
+}
@@ -0,0 +1,104 @@
+export const createAutocomplete = ({ input, list, source, onSelect }) => {
+    const autocomplete = {
+        input,
+        list,
+        items: [],
+        activeIndex: -1,
+
+        setup() {
+            this.input.setAttribute('role', 'combobox')
+            this.input.setAttribute('aria-autocomplete', 'list')
+            this.input.setAttribute('aria-controls', this.list.id)
+            this.input.setAttribute('aria-expanded', 'false')
+            this.input.addEventListener('input', () => this.update())
+            this.input.addEventListener('keydown', (e) => this.handleKeydown(e))
+            this.input.addEventListener('blur', () => this.close())
+            this.list.addEventListener('mousedown', (e) => this.handlePointer(e))
+            return this
+        },
+
+        update() {
+            this.items = source(this.input.value)
+            this.activeIndex = -1
+            this.render()
+        },
+
+        render() {
+            const fragment = document.createDocumentFragment()
+            this.items.forEach((item, index) => {
+                const element = document.createElement('li')
+                element.id = `${this.list.id}-${index}`
+                element.className = 'autocomplete__item'
+                element.setAttribute('role', 'option')
+                element.setAttribute('aria-selected', String(index === this.activeIndex))
+                element.dataset.index = index
+                const label = document.createElement('span')
+                label.innerText = item.label
+                const type = document.createElement('span')
+                type.className = 'autocomplete__type'
+                type.innerText = item.type === 'author' ? 'Author' : 'Title'
+                element.append(label, type)
+                fragment.appendChild(element)
+            })
+            this.list.replaceChildren(fragment)
+            this.list.hidden = !this.items.length
+            this.input.setAttribute('aria-expanded', String(this.items.length > 0))
+            if (this.activeIndex >= 0) {
+                this.input.setAttribute('aria-activedescendant', `${this.list.id}-${this.activeIndex}`)
+            } else {
+                this.input.removeAttribute('aria-activedescendant')
+            }
+        },
+
+        handleKeydown(event) {
+            if (this.list.hidden) return
+            switch (event.key) {
+                case 'ArrowDown':
+                    event.preventDefault()
+                    this.move(1)
+                    break
+                case 'ArrowUp':
+                    event.preventDefault()
+                    this.move(-1)
+                    break
+                case 'Enter':
+                    if (this.activeIndex < 0) return
+                    event.preventDefault()
+                    this.select(this.activeIndex)
+                    break
+                case 'Escape':
+                    event.preventDefault()
+                    event.stopPropagation()
+                    this.close()
+                    break
+            }
+        },
+
+        handlePointer(event) {
+            const element = event.target.closest('[data-index]')
+            if (!element) return
+            event.preventDefault()
+            this.select(Number(element.dataset.index))
+        },
+
+        move(step) {
+            const count = this.items.length
+            this.activeIndex = (this.activeIndex + 1 + step + count + 1) % (count + 1) - 1
+            this.render()
+            this.list.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' })
+        },
+
+        select(index) {
+            const item = this.items[index]
+            this.close()
+            if (item) onSelect(item)
+        },
+
+        close() {
+            this.items = []
+            this.activeIndex = -1
+            this.render()
+        }
+    }
+    return autocomplete.setup()
+}
@@ -1,6 +1,14 @@
-import { authors } from './data.js'
+import { authors } from './catalogue.js'
+import { fuzzyScore, MATCH_THRESHOLD } from './fuzzy.js'
+import { excerpt, highlightText } from './highlight.js'
+import { STATUS_SHELVES } from './library.js'
+import { progressPercent } from './readingProgress.js'
 
-export const createBook = ({ id, title, author, image, description, published, genres }) => {
+export const RANGE_FIELDS = ['published', 'pages', 'popularity']
+
+const toList = (value) => [].concat(value ?? []).filter(item => item && item !== 'any')
+
+export const createBook = ({ id, title, author, image, description, published, genres, pages, popularity, related }) => {
     const book = {
         id,
         title,
@@ -9,30 +17,105 @@ export const createBook = ({ id, title, author, image, description, published, g
         description,
         published: new Date(published),
         genres,
+        pages,
+        popularity,
+        related,
 
         matches(filters) {
-            const titleMatch = !filters.title.trim() || this.title.toLowerCase().includes(filters.title.toLowerCase())
-            const authorMatch = filters.author === 'any' || this.author === filters.author
-            let genreMatch = filters.genre === 'any'
-            for (const singleGenre of this.genres) {
-                if (genreMatch) break;
-                if (singleGenre === filters.genre) genreMatch = true
-            }
-            return titleMatch && authorMatch && genreMatch
+            const titleMatch = !filters.title.trim() || this.relevance(filters.title) >= MATCH_THRESHOLD
+            const selectedAuthors = toList(filters.author)
+            const selectedGenres = toList(filters.genre)
+            const authorMatch = !selectedAuthors.length || selectedAuthors.includes(this.author)
+            const genreMatch = !selectedGenres.length || (filters.genreMode === 'all'
+                ? selectedGenres.every(genre => this.genres.includes(genre))
+                : selectedGenres.some(genre => this.genres.includes(genre)))
+            const rangeMatch = RANGE_FIELDS.every(field => this.inRange(field, filters[`${field}Min`], filters[`${field}Max`]))
+            return titleMatch && authorMatch && genreMatch && rangeMatch
         },
 
-        previewElement() {
+        rangeValue(field) {
+            return field === 'published' ? this.published.getFullYear() : this[field]
+        },
+
+        inRange(field, min, max) {
+            const value = this.rangeValue(field)
+            if (min !== undefined && min !== '' && value < Number(min)) return false
+            if (max !== undefined && max !== '' && value > Number(max)) return false
+            return true
+        },
+
+        relevance(query) {
+            return Math.max(fuzzyScore(query, this.title), fuzzyScore(query, authors[this.author]))
+        },
+
+        previewElement({ terms = [], excerpt: withExcerpt = false, entry = null } = {}) {
+            const element = document.createElement('div')
+            element.className = 'preview'
+
+            const image = document.createElement('img')
+            image.className = 'preview__image'
+            image.src = this.image
+            image.alt = ''
+            image.loading = 'lazy'
+
+            const info = document.createElement('div')
+            info.className = 'preview__info'
+            const title = document.createElement('h3')
+            title.className = 'preview__title'
             const btnElement = document.createElement('button')
-            btnElement.classList = 'preview'
+            btnElement.className = 'preview__open'
             btnElement.setAttribute('data-preview', this.id)
-            btnElement.innerHTML = `
-                <img class="preview__image" src="${this.image}" />
-                <div class="preview__info">
-                    <h3 class="preview__title">${this.title}</h3>
-                    <div class="preview__author">${authors[this.author]}</div>
-                </div>
-            `
-            return btnElement
+            btnElement.appendChild(highlightText(this.title, terms))
+            title.appendChild(btnElement)
+            const author = document.createElement('a')
+            author.className = 'preview__author'
+            author.href = `#/author/${this.author}`
+            author.appendChild(highlightText(authors[this.author], terms))
+            info.append(title, author)
+
+            if (withExcerpt && terms.length) {
+                const description = document.createElement('p')
+                description.className = 'preview__excerpt'
+                description.appendChild(highlightText(excerpt(this.description, terms), terms))
+                info.appendChild(description)
+            }
+
+            if (entry?.rating) {
+                const badge = document.createElement('span')
+                badge.className = 'preview__rating'
+                badge.setAttribute('aria-label', `Rated ${entry.rating} out of 5`)
+                badge.innerText = `★ ${entry.rating}`
+                author.after(badge)
+            }
+            if (entry?.progress && !entry.progress.finishedAt) info.appendChild(this.progressBar(entry.progress))
+            if (entry) info.appendChild(this.shelfSelect(entry))
+
+            element.append(image, info)
+            return element
+        },
+
+        progressBar(progress) {
+            const bar = document.createElement('progress')
+            bar.className = 'preview__progress'
+            bar.max = this.pages
+            bar.value = progress.currentPage
+            bar.setAttribute('aria-label', `${progressPercent(progress, this.pages)}% read`)
+            return bar
+        },
+
+        shelfSelect(entry) {
+            const select = document.createElement('select')
+            select.className = 'preview__shelf'
+            select.setAttribute('data-preview-shelf', this.id)
+            select.setAttribute('aria-label', `Shelf for ${this.title}`)
+            for (const [value, label] of [['', 'Add to shelf…'], ...STATUS_SHELVES.map(shelf => [shelf.id, shelf.name])]) {
+                const option = document.createElement('option')
+                option.value = value
+                option.innerText = label
+                option.selected = value === (entry.status || '')
+                select.appendChild(option)
+            }
+            return select
         }
     }
     return book
@@ -1,18 +1,177 @@
-import { createBook } from './book.js'
+import { createBook, RANGE_FIELDS } from './book.js'
+import { createInvertedIndex, tokenise } from './textIndex.js'
+import { compileQuery, parseQuery, queryTerms, QuerySyntaxError, readsDescriptions } from './queryParser.js'
+import { sortBooks } from './sorting.js'
+import { authors } from './catalogue.js'
+import { normalise } from './fuzzy.js'
+import { highlightTerms } from './highlight.js'
+import { createRecommender } from './recommend.js'
 
-export const createBookList = (booksData, booksPerPage) => {
+const countBy = (books, keys) => {
+    const counts = {}
+    for (const book of books) {
+        for (const key of keys(book)) counts[key] = (counts[key] || 0) + 1
+    }
+    return counts
+}
+
+export const createBookList = (booksData, booksPerPage, library, fetchDescriptions = null) => {
+    const books = booksData.map(createBook)
     const bookList = {
-        books: booksData.map(createBook),
+        books,
         booksPerPage,
+        library,
+        fetchDescriptions,
+        descriptionsLoaded: books.every(book => book.description !== undefined),
         currentPage: 1,
-        matches: booksData.map(createBook),
+        paged: false,
+        matches: [...books],
+        ranked: books,
+        sortKey: 'relevance',
+        sortDirection: 'asc',
+        highlight: { terms: [], excerpt: false },
+        index: createInvertedIndex(books),
 
         search(filters) {
-            this.matches = this.books.filter(book => book.matches(filters))
+            this.ranked = this.filter(filters)
+            this.highlight = {
+                terms: highlightTerms(queryTerms(parseQuery(filters.title))),
+                excerpt: Boolean(filters.descriptions)
+            }
+            return this.sort(this.sortKey, this.sortDirection)
+        },
+
+        filter(filters) {
+            const { text, predicate: queryPredicate } = compileQuery(parseQuery(filters.title))
+            const query = { ...filters, title: text }
+            const predicate = book => this.matchesPersonal(book, filters) && queryPredicate(book)
+
+            if (filters.descriptions && tokenise(text).length) {
+                const unfiltered = { ...query, title: '' }
+                return this.fullTextSearch(text).filter(book => book.matches(unfiltered) && predicate(book))
+            }
+            const results = this.books.filter(book => book.matches(query) && predicate(book))
+            return text.trim() ? this.rankByRelevance(results, text) : results
+        },
+
+        suggest(text, limit = 8) {
+            const needle = normalise(text)
+            if (needle.length < 2 || /[:"()]/.test(text)) return []
+
+            const rank = (label) => {
+                const name = normalise(label)
+                if (name.startsWith(needle)) return 0
+                if (name.includes(` ${needle}`)) return 1
+                return name.includes(needle) ? 2 : -1
+            }
+
+            const authorSuggestions = Object.entries(authors)
+                .map(([id, label]) => ({ type: 'author', id, label, rank: rank(label) }))
+                .filter(item => item.rank >= 0)
+                .sort((a, b) => a.rank - b.rank)
+                .slice(0, 3)
+
+            const seen = new Set()
+            const titleSuggestions = [...this.books]
+                .sort((a, b) => b.popularity - a.popularity)
+                .map(book => ({ type: 'title', id: book.id, label: book.title, rank: rank(book.title) }))
+                .filter(item => item.rank >= 0 && !seen.has(item.label) && seen.add(item.label))
+                .sort((a, b) => a.rank - b.rank)
+
+            return [...authorSuggestions, ...titleSuggestions].slice(0, limit)
+        },
+
+        matchesPersonal(book, filters) {
+            const minRating = Number(filters.minRating) || 0
+            if (filters.shelf && !this.library.isOnShelf(book.id, filters.shelf)) return false
+            if (minRating && (this.library.ratingFor(book.id) || 0) < minRating) return false
+            return true
+        },
+
+        facets(filters) {
+            const genrePool = filters.genreMode === 'all' ? this.filter(filters) : this.filter({ ...filters, genre: [] })
+            const authorPool = this.filter({ ...filters, author: [] })
+            return {
+                genre: countBy(genrePool, book => book.genres),
+                author: countBy(authorPool, book => [book.author])
+            }
+        },
+
+        sort(key = 'relevance', direction = 'asc') {
+            this.sortKey = key
+            this.sortDirection = direction
+            this.matches = sortBooks(this.ranked, key, direction, { library: this.library })
             this.currentPage = 1
             return this.matches
         },
 
+        fullTextSearch(query) {
+            const byId = new Map(this.books.map(book => [book.id, book]))
+            return this.index.search(query).map(({ id }) => byId.get(id))
+        },
+
+        needsDescriptions(filters) {
+            if (this.descriptionsLoaded) return false
+            if (filters.descriptions) return true
+            try {
+                return readsDescriptions(parseQuery(filters.title))
+            } catch (error) {
+                if (!(error instanceof QuerySyntaxError)) throw error
+                return false
+            }
+        },
+
+        async loadDescriptions(books) {
+            const missing = books.filter(book => book.description === undefined)
+            if (!missing.length || !this.fetchDescriptions) return
+            const descriptions = await this.fetchDescriptions(missing.map(book => book.id))
+            for (const book of missing) {
+                if (book.description !== undefined || descriptions[book.id] === undefined) continue
+                book.description = descriptions[book.id]
+                this.index.addText(book.id, book.description)
+            }
+            this.recommender = null
+        },
+
+        async loadAllDescriptions() {
+            if (this.descriptionsLoaded) return
+            if (!this.pendingDescriptions) {
+                this.pendingDescriptions = this.loadDescriptions(this.books).finally(() => {
+                    this.pendingDescriptions = null
+                })
+            }
+            await this.pendingDescriptions
+            this.descriptionsLoaded = true
+        },
+
+        recommendations(book, limit) {
+            if (book.related) {
+                const byId = new Map(this.books.map(other => [other.id, other]))
+                return book.related.slice(0, limit).map(id => byId.get(id))
+            }
+            if (!this.recommender) this.recommender = createRecommender(this.books, this.index)
+            return this.recommender.recommend(book, limit)
+        },
+
+        rankByRelevance(books, query) {
+            const scores = new Map(books.map(book => [book.id, book.relevance(query)]))
+            return [...books].sort((a, b) => scores.get(b.id) - scores.get(a.id))
+        },
+
+        bounds() {
+            const bounds = {}
+            for (const field of RANGE_FIELDS) {
+                const values = this.books.map(book => book.rangeValue(field))
+                bounds[field] = { min: Math.min(...values), max: Math.max(...values) }
+            }
+            return bounds
+        },
+
+        loadedBooks() {
+            if (this.paged) return this.getCurrentBookPage()
+            return this.matches.slice(0, this.currentPage * this.booksPerPage)
+        },
+
         getCurrentBookPage() {
             const start = (this.currentPage - 1) * this.booksPerPage
             const end = start + this.booksPerPage
@@ -29,6 +188,28 @@ export const createBookList = (booksData, booksPerPage) => {
                 return true
             }
             return false
+        },
+
+        previousPage() {
+            return this.goToPage(this.currentPage - 1)
+        },
+
+        goToPage(page) {
+            const target = Math.min(Math.max(1, Math.floor(page) || 1), this.totalPages())
+            if (target === this.currentPage) return false
+            this.currentPage = target
+            return true
+        },
+
+        totalPages() {
+            return Math.max(1, Math.ceil(this.matches.length / this.booksPerPage))
+        },
+
+        setPageSize(size) {
+            const shown = this.paged ? (this.currentPage - 1) * this.booksPerPage : this.currentPage * this.booksPerPage
+            this.booksPerPage = size
+            const page = this.paged ? Math.floor(shown / size) + 1 : Math.ceil(shown / size)
+            this.currentPage = Math.min(page, this.totalPages())
         }
     }
     return bookList
@@ -0,0 +1,53 @@
+const countBy = (books, keys) => {
+    const counts = new Map()
+    for (const book of books) {
+        for (const key of keys(book)) counts.set(key, (counts.get(key) || 0) + 1)
+    }
+    return counts
+}
+
+const topEntries = (counts, limit) => [...counts]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([id, count]) => ({ id, count }))
+
+export const authorProfile = (books, authorId) => {
+    const written = books
+        .filter(book => book.author === authorId)
+        .sort((a, b) => a.published - b.published)
+    const years = written.map(book => book.published.getFullYear())
+    const pages = written.map(book => book.pages).filter(Boolean)
+
+    return {
+        books: written,
+        count: written.length,
+        firstYear: years[0],
+        lastYear: years[years.length - 1],
+        topGenres: topEntries(countBy(written, book => book.genres), 3),
+        averagePages: pages.length ? Math.round(pages.reduce((sum, value) => sum + value, 0) / pages.length) : 0
+    }
+}
+
+export const genreSummaries = (books) => {
+    const byGenre = new Map()
+    for (const book of books) {
+        for (const id of book.genres) {
+            if (!byGenre.has(id)) byGenre.set(id, [])
+            byGenre.get(id).push(book)
+        }
+    }
+
+    return [...byGenre]
+        .map(([id, genreBooks]) => ({
+            id,
+            count: genreBooks.length,
+            covers: [...genreBooks].sort((a, b) => b.popularity - a.popularity).slice(0, 4).map(book => book.image)
+        }))
+        .sort((a, b) => b.count - a.count)
+}
+
+export const relatedGenres = (books, genreId, limit = 8) => {
+    const tagged = books.filter(book => book.genres.includes(genreId))
+    const counts = countBy(tagged, book => book.genres.filter(id => id !== genreId))
+    return topEntries(counts, limit)
+}
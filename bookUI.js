@@ -1,36 +1,365 @@
-import { authors, genres } from './data.js'
+import { authors, genres } from './catalogue.js'
+import { QuerySyntaxError } from './queryParser.js'
+import { createRangeSlider } from './rangeSlider.js'
+import { debounce } from './utils.js'
+import { createAutocomplete } from './autocomplete.js'
+import { highlightText } from './highlight.js'
+import { createSearchHistory, describeFilters } from './searchHistory.js'
+import { createRouter } from './router.js'
+import { filtersToParams, paramsToFilters } from './searchParams.js'
+import { createAuthorView } from './authorView.js'
+import { createGenreView } from './genreView.js'
+import { createChallengeView } from './challengeView.js'
+import { createImportView } from './importView.js'
+import { createExportView } from './exportView.js'
+import { watchConnection } from './connection.js'
+import { createVirtualGrid } from './virtualGrid.js'
+import { createPager } from './pager.js'
+import { ImportError } from './goodreadsImport.js'
+import { STATUS_SHELVES } from './library.js'
+import { renderMarkdown } from './markdown.js'
+import { describeProgress, today } from './readingProgress.js'
 
 export const createBookUI = (bookList) => {
     const bookUI = {
         bookList,
+        library: bookList.library,
+        history: createSearchHistory(),
+        authorView: createAuthorView(bookList),
+        genreView: createGenreView(bookList),
+        challengeView: createChallengeView(bookList),
+        importView: createImportView(bookList),
+        exportView: createExportView(bookList),
+        appliedFilters: {},
+        appliedSearch: '',
+        listPath: '/',
+        returnOnClose: false,
+        listMode: 'more',
+        listScroll: null,
 
         initializeUI() {
-            this.renderBooks()
+            this.setupListMode()
             this.setupTheme()
+            this.setupConnectionStatus()
+            this.setupStorageStatus()
             this.populateDropdowns()
-            this.updateShowMoreButton()
+            this.populateShelfOptions()
+            this.populateRanges()
+            this.updateFacets()
+            this.updateResultCount(this.bookList.matches.length)
+            this.renderHistory()
+            this.updateListControls()
+            this.setupRouter()
+        },
+
+        setupRouter() {
+            this.router = createRouter([
+                { path: '/book/:id', handler: ({ id }) => this.showBookRoute(id) },
+                { path: '/author/:id', handler: ({ id }) => this.showAuthorRoute(id) },
+                { path: '/genres', handler: () => this.showGenresRoute() },
+                { path: '/genre/:id', handler: ({ id }, params) => this.showGenreRoute(id, params.get('with')) },
+                { path: '/challenge', handler: (_, params) => this.showChallengeRoute(params) },
+                { path: '/import', handler: () => this.showImportRoute() },
+                { path: '/export', handler: () => this.showExportRoute() },
+                { path: '/search', handler: (_, params) => this.showListRoute(params) }
+            ], (params) => this.showListRoute(params))
+            this.router.start()
+        },
+
+        showView(name) {
+            for (const view of document.querySelectorAll('[data-view]')) {
+                view.hidden = view.dataset.view !== name
+            }
+        },
+
+        async showListRoute(params) {
+            document.querySelector('[data-list-active]').open = false
+            this.returnOnClose = false
+            this.showView('list')
+
+            const filters = paramsToFilters(params)
+            if (filtersToParams(filters, this.bookList.bounds()).toString() !== this.appliedSearch) {
+                this.setFormFilters(filters)
+                await this.runSearch(filters)
+            }
+
+            const page = Math.max(1, Number(params.get('page')) || 1)
+            if (this.listMode === 'paged') {
+                if (this.bookList.goToPage(page)) this.renderBooks()
+            } else {
+                while (this.bookList.currentPage < page && this.bookList.nextPage()) this.renderBooks()
+            }
+            this.updateListControls()
+            this.listPath = this.searchPath(this.appliedFilters, this.bookList.currentPage)
+            this.restoreListScroll()
+        },
+
+        rememberListScroll() {
+            if (document.querySelector('[data-view="list"]').hidden) return
+            this.listScroll = { path: this.listPath, top: window.scrollY }
+        },
+
+        restoreListScroll() {
+            if (this.listScroll?.path === this.listPath) {
+                window.scrollTo({ top: this.listScroll.top })
+                if (this.listMode === 'scroll') this.grid.update()
+            }
+            this.listScroll = null
+        },
+
+        showAuthorRoute(id) {
+            if (!authors[id]) return this.redirectToList()
+            this.enterPage('author')
+            document.querySelector('[data-author-back]').href = `#${this.listPath}`
+            this.authorView.render(id)
+        },
+
+        showGenresRoute() {
+            this.enterPage('genres')
+            document.querySelector('[data-genres-back]').href = `#${this.listPath}`
+            this.genreView.renderIndex()
+        },
+
+        showChallengeRoute(params) {
+            const year = Number(params.get('year')) || new Date().getFullYear()
+            this.enterPage('challenge')
+            document.querySelector('[data-challenge-back]').href = `#${this.listPath}`
+            this.challengeView.render(year)
+        },
+
+        async handleChallengeGoal(event) {
+            event.preventDefault()
+            const { year, target, type } = Object.fromEntries(new FormData(event.target))
+            await this.library.saveSetting(`challenge-${year}`, { type, target: Number(target) })
+            this.challengeView.render(Number(year))
+        },
+
+        showImportRoute() {
+            this.enterPage('import')
+            document.querySelector('[data-import-back]').href = `#${this.listPath}`
+        },
+
+        async handleImportFile(event) {
+            const [file] = event.target.files
+            if (!file) return
+            document.querySelector('[data-import-result]').innerText = ''
+            try {
+                this.importView.load(await file.text())
+                this.showPageError('[data-import-error]', null)
+            } catch (error) {
+                if (!(error instanceof ImportError)) throw error
+                this.importView.reset()
+                this.showPageError('[data-import-error]', error.message)
+            }
+        },
+
+        handleImportChoice(event) {
+            const select = event.target.closest('[data-import-choice]')
+            if (select) this.importView.choose(Number(select.dataset.importChoice), select.value)
+        },
+
+        handleImportSearch(event) {
+            const input = event.target.closest('[data-import-search]')
+            if (input) this.importView.search(Number(input.dataset.importSearch), input.value)
+        },
+
+        async handleImportApply() {
+            const { books, ratings, finished, shelves } = await this.importView.apply()
+            document.querySelector('[data-import-file]').value = ''
+            document.querySelector('[data-import-result]').innerText =
+                `Imported ${books} books: ${ratings} ratings, ${finished} read dates and ${shelves} new shelves.`
+            this.populateShelfOptions()
+            await this.runSearch(this.appliedFilters)
+        },
+
+        showPageError(selector, message) {
+            const element = document.querySelector(selector)
+            element.innerText = message || ''
+            element.classList.toggle('overlay__error_show', Boolean(message))
+        },
+
+        showExportRoute() {
+            this.enterPage('export')
+            document.querySelector('[data-export-back]').href = `#${this.listPath}`
+            this.exportView.render()
+        },
+
+        handleExportClick(event) {
+            const button = event.target.closest('[data-export-format]')
+            if (button) this.exportView.download(button.dataset.exportFormat)
+        },
+
+        async handleRestoreFile(event) {
+            const [file] = event.target.files
+            if (!file) return
+            document.querySelector('[data-restore-result]').innerText = ''
+            try {
+                this.exportView.load(await file.text())
+                this.showPageError('[data-restore-error]', null)
+            } catch (error) {
+                if (!(error instanceof ImportError)) throw error
+                this.exportView.reset()
+                this.showPageError('[data-restore-error]', error.message)
+            }
+        },
+
+        async handleRestore(event) {
+            event.preventDefault()
+            const { strategy } = Object.fromEntries(new FormData(event.target))
+            const { added, replaced, kept } = await this.exportView.restore(strategy)
+            document.querySelector('[data-restore-file]').value = ''
+            document.querySelector('[data-restore-result]').innerText =
+                `Restored ${added} new and ${replaced} updated records, kept ${kept} local ones.`
+            this.populateShelfOptions()
+            await this.runSearch(this.appliedFilters)
+        },
+
+        showGenreRoute(id, withId) {
+            if (!genres[id]) return this.redirectToList()
+            this.enterPage('genre')
+            this.genreView.renderGenre(id, genres[withId] ? withId : null)
+        },
+
+        enterPage(name) {
+            this.rememberListScroll()
+            document.querySelector('[data-list-active]').open = false
+            this.toggleOverlay('search', false)
+            this.toggleOverlay('settings', false)
+            this.returnOnClose = false
+            this.showView(name)
+            window.scrollTo({ top: 0 })
+        },
+
+        redirectToList() {
+            this.router.navigate(this.listPath, { replace: true })
+            this.showListRoute(this.router.current().params)
+        },
+
+        showBookRoute(id) {
+            const book = this.bookList.books.find(book => book.id === id)
+            if (!book) return this.redirectToList()
+            this.rememberListScroll()
+            this.showBookDetails(book)
+        },
+
+        searchPath(filters, page = 1) {
+            const params = filtersToParams(filters, this.bookList.bounds())
+            if (page > 1) params.set('page', page)
+            const query = params.toString()
+            return query ? `/search?${query}` : '/'
+        },
+
+        closeBookDetails() {
+            if (this.returnOnClose) {
+                window.history.back()
+            } else {
+                this.router.navigate(this.listPath)
+            }
         },
 
         setupEventListeners() {
+            this.liveSearch = debounce(() => this.handleLiveSearch(), 300)
             document.querySelector('[data-search-form]').addEventListener('submit', (e) => this.handleSearch(e))
+            document.querySelector('[data-search-form]').addEventListener('input', () => this.liveSearch())
+            document.querySelector('[data-search-form]').addEventListener('change', () => this.liveSearch())
+            document.querySelector('[data-search-history]').addEventListener('click', (e) => this.handleHistoryClick(e))
+            this.autocomplete = createAutocomplete({
+                input: document.querySelector('[data-search-title]'),
+                list: document.querySelector('[data-search-suggestions]'),
+                source: (text) => this.bookList.suggest(text),
+                onSelect: (item) => this.handleSuggestion(item)
+            })
             document.querySelector('[data-search-cancel]').addEventListener('click', () => this.toggleOverlay('search', false))
             document.querySelector('[data-header-search]').addEventListener('click', () => this.toggleOverlay('search', true))
-            document.querySelector('[data-settings-form]').addEventListener('submit', (e) => this.handleThemeUpdate(e))
+            document.querySelector('[data-settings-form]').addEventListener('submit', (e) => this.handleSettingsUpdate(e))
             document.querySelector('[data-settings-cancel]').addEventListener('click', () => this.toggleOverlay('settings', false))
             document.querySelector('[data-header-settings]').addEventListener('click', () => this.toggleOverlay('settings', true))
             document.querySelector('[data-list-button]').addEventListener('click', () => this.loadMoreBooks())
+            document.querySelector('[data-list-sort]').addEventListener('change', (e) => this.handleSort(e))
+            document.querySelector('[data-list-page-size]').addEventListener('change', (e) => this.handlePageSize(e))
             document.querySelector('[data-list-items]').addEventListener('click', (e) => this.handleBookClick(e))
-            document.querySelector('[data-list-close]').addEventListener('click', () => document.querySelector('[data-list-active]').open = false)
+            document.querySelector('[data-author-items]').addEventListener('click', (e) => this.handleBookClick(e))
+            document.querySelector('[data-genre-items]').addEventListener('click', (e) => this.handleBookClick(e))
+            document.querySelector('[data-challenge-items]').addEventListener('click', (e) => this.handleBookClick(e))
+            document.querySelector('[data-challenge-form]').addEventListener('submit', (e) => this.handleChallengeGoal(e))
+            document.querySelector('[data-import-file]').addEventListener('change', (e) => this.handleImportFile(e))
+            document.querySelector('[data-import-rows]').addEventListener('change', (e) => this.handleImportChoice(e))
+            document.querySelector('[data-import-rows]').addEventListener('input', debounce((e) => this.handleImportSearch(e), 300))
+            document.querySelector('[data-import-apply]').addEventListener('click', () => this.handleImportApply())
+            document.querySelector('[data-view="export"]').addEventListener('click', (e) => this.handleExportClick(e))
+            document.querySelector('[data-restore-file]').addEventListener('change', (e) => this.handleRestoreFile(e))
+            document.querySelector('[data-restore-options]').addEventListener('submit', (e) => this.handleRestore(e))
+            document.querySelector('[data-list-recommendations]').addEventListener('click', (e) => this.handleRecommendationClick(e))
+            document.querySelector('[data-list-shelves]').addEventListener('click', (e) => this.handleShelfClick(e))
+            document.querySelector('[data-progress-form]').addEventListener('submit', (e) => this.handleProgressSubmit(e))
+            document.querySelector('[data-progress-reset]').addEventListener('click', () => this.handleProgressReset())
+            document.querySelector('[data-review-stars]').addEventListener('click', (e) => this.handleRatingClick(e))
+            document.querySelector('[data-review-edit]').addEventListener('click', () => this.toggleReviewForm(true))
+            document.querySelector('[data-review-cancel]').addEventListener('click', () => this.toggleReviewForm(false))
+            document.querySelector('[data-review-form]').addEventListener('submit', (e) => this.handleReviewSubmit(e))
+            document.body.addEventListener('change', (e) => this.handlePreviewShelfChange(e))
+            document.querySelector('[data-list-close]').addEventListener('click', () => this.closeBookDetails())
+        },
+
+        setupListMode() {
+            this.grid = createVirtualGrid({
+                container: document.querySelector('[data-list-items]'),
+                renderItem: (book) => book.previewElement({ ...this.bookList.highlight, entry: this.library.entryFor(book.id) }),
+                onEndReached: () => this.loadMoreBooks()
+            })
+            this.pager = createPager({
+                element: document.querySelector('[data-list-pager]'),
+                onSelect: (page) => this.handlePageSelect(page)
+            })
+            const pageSize = Number(this.library.setting('pageSize', this.bookList.booksPerPage))
+            this.bookList.booksPerPage = pageSize
+            document.querySelector('[data-list-page-size]').value = pageSize
+            this.setListMode(this.library.setting('listMode', 'more'))
+        },
+
+        setListMode(mode) {
+            this.listMode = ['scroll', 'paged'].includes(mode) ? mode : 'more'
+            this.bookList.paged = this.listMode === 'paged'
+            document.querySelector('[data-settings-list-mode]').value = this.listMode
+            if (this.listMode === 'scroll') {
+                this.grid.start()
+            } else {
+                this.grid.stop()
+            }
+            document.querySelector('[data-list-items]').replaceChildren()
+            this.renderBooks(this.bookList.loadedBooks())
+            this.updateListControls()
         },
 
         renderBooks(books = this.bookList.getCurrentBookPage()) {
+            if (this.listMode === 'scroll') {
+                this.grid.setItems(this.bookList.loadedBooks())
+                return
+            }
             const fragment = document.createDocumentFragment()
-            books.forEach(book => fragment.appendChild(book.previewElement()))
+            books.forEach(book => fragment.appendChild(book.previewElement({ ...this.bookList.highlight, entry: this.library.entryFor(book.id) })))
             const container = document.querySelector('[data-list-items]')
-            if (this.bookList.currentPage === 1) container.innerHTML = ''
+            if (this.listMode === 'paged' || this.bookList.currentPage === 1) container.innerHTML = ''
             container.appendChild(fragment)
         },
 
+        setupConnectionStatus() {
+            watchConnection((online) => {
+                document.querySelector('[data-header-offline]').hidden = online
+            })
+        },
+
+        setOfflineSupport(registration) {
+            this.showPageError('[data-settings-error]', registration ? null : 'Offline use is not available in this browser.')
+        },
+
+        setupStorageStatus() {
+            const { warning } = this.library.db
+            const badge = document.querySelector('[data-header-storage]')
+            badge.hidden = !warning
+            badge.title = warning || ''
+        },
+
         setupTheme() {
             const isDark = window.matchMedia('(prefers-color-scheme: dark)').matches
             const theme = isDark ? 'night' : 'day'
@@ -47,54 +376,311 @@ export const createBookUI = (bookList) => {
         },
 
         populateDropdowns() {
-            this.populateSelect('[data-search-genres]', genres, 'All Genres')
-            this.populateSelect('[data-search-authors]', authors, 'All Authors')
+            this.populateChecklist('[data-search-genres]', 'genre', genres)
+            this.populateChecklist('[data-search-authors]', 'author', authors)
         },
 
-        populateSelect(selector, options, defaultText) {
+        populateChecklist(selector, name, options) {
             const fragment = document.createDocumentFragment()
-            const defaultOption = document.createElement('option')
-            defaultOption.value = 'any'
-            defaultOption.innerText = defaultText
-            fragment.appendChild(defaultOption)
-
-            for (const [id, name] of Object.entries(options)) {
-                const element = document.createElement('option')
-                element.value = id
-                element.innerText = name
+            const sorted = Object.entries(options).sort(([, a], [, b]) => a.localeCompare(b))
+
+            for (const [id, label] of sorted) {
+                const element = document.createElement('label')
+                element.className = 'overlay__option'
+                const checkbox = document.createElement('input')
+                checkbox.type = 'checkbox'
+                checkbox.name = name
+                checkbox.value = id
+                const text = document.createElement('span')
+                text.dataset.label = label
+                text.innerText = label
+                element.append(checkbox, text)
                 fragment.appendChild(element)
             }
 
             document.querySelector(selector).appendChild(fragment)
         },
 
-        updateShowMoreButton() {
+        populateShelfOptions() {
+            const select = document.querySelector('[data-search-shelf]')
+            const current = select.value
+            const options = [['', 'Any shelf'], ...this.library.shelves().map(shelf => [shelf.id, shelf.name])].map(([value, label]) => {
+                const option = document.createElement('option')
+                option.value = value
+                option.innerText = label
+                return option
+            })
+            select.replaceChildren(...options)
+            select.value = this.library.shelfName(current) ? current : ''
+        },
+
+        populateRanges() {
+            const bounds = this.bookList.bounds()
+            const labels = { published: 'Year published', pages: 'Pages', popularity: 'Popularity' }
+            this.rangeSliders = Object.entries(labels).map(([name, label]) => createRangeSlider({ name, label, ...bounds[name] }))
+            document.querySelector('[data-search-ranges]').append(...this.rangeSliders.map(slider => slider.element))
+        },
+
+        updateFacets(filters = this.readFilters(document.querySelector('[data-search-form]'))) {
+            let facets
+            try {
+                facets = this.bookList.facets(filters)
+            } catch (error) {
+                if (!(error instanceof QuerySyntaxError)) throw error
+                return
+            }
+
+            for (const [name, counts] of Object.entries(facets)) {
+                for (const checkbox of document.querySelectorAll(`[data-search-form] input[name="${name}"]`)) {
+                    const count = counts[checkbox.value] || 0
+                    const text = checkbox.nextElementSibling
+                    text.innerText = `${text.dataset.label} (${count})`
+                    checkbox.disabled = !count && !checkbox.checked
+                }
+            }
+        },
+
+        setFormFilters(filters) {
+            const form = document.querySelector('[data-search-form]')
+            form.elements.title.value = filters.title || ''
+            form.elements.descriptions.checked = Boolean(filters.descriptions)
+            form.elements.genreMode.value = filters.genreMode || 'any'
+            form.elements.shelf.value = this.library.shelfName(filters.shelf) ? filters.shelf : ''
+            form.elements.minRating.value = filters.minRating || ''
+            for (const name of ['genre', 'author']) {
+                const selected = [].concat(filters[name] || [])
+                for (const checkbox of form.querySelectorAll(`input[name="${name}"]`)) {
+                    checkbox.checked = selected.includes(checkbox.value)
+                }
+            }
+            for (const slider of this.rangeSliders) {
+                slider.setValues(filters[slider.lower.name] || undefined, filters[slider.upper.name] || undefined)
+            }
+        },
+
+        readFilters(form) {
+            const formData = new FormData(form)
+            return {
+                ...Object.fromEntries(formData),
+                genre: formData.getAll('genre'),
+                author: formData.getAll('author')
+            }
+        },
+
+        updateListControls() {
+            const paged = this.listMode === 'paged'
             const remaining = this.bookList.remainingCount()
             const button = document.querySelector('[data-list-button]')
+            button.hidden = paged
             button.disabled = remaining <= 0
             button.innerHTML = `
                 <span>Show more</span>
                 <span class="list__remaining"> (${remaining})</span>
             `
+            if (paged) {
+                this.pager.render(this.bookList.currentPage, this.bookList.totalPages())
+            } else {
+                this.pager.hide()
+            }
         },
 
-        handleSearch(event) {
+        async handleSearch(event) {
             event.preventDefault()
-            const formData = new FormData(event.target)
-            const filters = Object.fromEntries(formData)
-            const results = this.bookList.search(filters)
-            this.renderBooks()
-            document.querySelector('[data-list-message]').classList.toggle('list__message_show', results.length < 1)
-            this.updateShowMoreButton()
+            this.liveSearch.cancel()
+            const filters = this.readFilters(event.target)
+            if (!(await this.runSearch(filters))) return
+            this.history.record(filters)
+            this.renderHistory()
             this.toggleOverlay('search', false)
+            this.router.navigate(this.searchPath(filters))
             window.scrollTo({ top: 0, behavior: 'smooth' })
         },
 
-        handleThemeUpdate(event) {
+        handleLiveSearch() {
+            this.runSearch(this.readFilters(document.querySelector('[data-search-form]')))
+        },
+
+        handleSuggestion(item) {
+            const input = document.querySelector('[data-search-title]')
+            if (item.type === 'author') {
+                const checkbox = document.querySelector(`[data-search-authors] input[value="${item.id}"]`)
+                checkbox.checked = true
+                checkbox.disabled = false
+                input.value = ''
+            } else {
+                input.value = `title:"${item.label.replace(/"/g, ' ')}"`
+            }
+            this.liveSearch.cancel()
+            this.handleLiveSearch()
+        },
+
+        async runSearch(filters) {
+            if (this.bookList.needsDescriptions(filters)) {
+                document.querySelector('[data-search-count]').innerText = 'Loading descriptions…'
+                try {
+                    await this.bookList.loadAllDescriptions()
+                } catch {
+                    this.showSearchError('Book descriptions could not be loaded. Check your connection and try again.')
+                    return null
+                }
+            }
+
+            let results
+            try {
+                results = this.bookList.search(filters)
+            } catch (error) {
+                if (!(error instanceof QuerySyntaxError)) throw error
+                this.showSearchError(error.message)
+                return null
+            }
+            this.showSearchError(null)
+            this.appliedFilters = filters
+            this.appliedSearch = filtersToParams(filters, this.bookList.bounds()).toString()
+            this.renderBooks()
+            document.querySelector('[data-list-message]').classList.toggle('list__message_show', results.length < 1)
+            this.updateListControls()
+            this.updateFacets(filters)
+            this.updateAuthorLinks(filters)
+            this.updateResultCount(results.length)
+            return results
+        },
+
+        updateAuthorLinks(filters) {
+            const links = [].concat(filters.author || []).filter(id => authors[id]).map(id => {
+                const link = document.createElement('a')
+                link.href = `#/author/${id}`
+                link.innerText = `About ${authors[id]} →`
+                return link
+            })
+            document.querySelector('[data-search-author-links]').replaceChildren(...links)
+        },
+
+        updateResultCount(count) {
+            const label = count === 1 ? 'book matches' : 'books match'
+            document.querySelector('[data-search-count]').innerText = `${count} ${label}`
+        },
+
+        showSearchError(message) {
+            const element = document.querySelector('[data-search-error]')
+            element.innerText = message || ''
+            element.classList.toggle('overlay__error_show', Boolean(message))
+        },
+
+        renderHistory() {
+            const container = document.querySelector('[data-search-history]')
+            const entries = this.history.list()
+            const bounds = this.bookList.bounds()
+            const shelfNames = Object.fromEntries(this.library.shelves().map(shelf => [shelf.id, shelf.name]))
+
+            if (!entries.length) {
+                const empty = document.createElement('li')
+                empty.className = 'history__empty'
+                empty.innerText = 'Searches you run will appear here.'
+                container.replaceChildren(empty)
+                return
+            }
+
+            const button = (action, id, text, label) => {
+                const element = document.createElement('button')
+                element.type = 'button'
+                element.className = 'history__action'
+                element.dataset.historyAction = action
+                element.dataset.historyId = id
+                element.title = label
+                element.setAttribute('aria-label', label)
+                element.innerText = text
+                return element
+            }
+
+            container.replaceChildren(...entries.map(entry => {
+                const item = document.createElement('li')
+                item.className = 'history__item'
+
+                const apply = document.createElement('button')
+                apply.type = 'button'
+                apply.className = 'history__apply'
+                apply.dataset.historyAction = 'apply'
+                apply.dataset.historyId = entry.id
+                if (entry.name) {
+                    const name = document.createElement('span')
+                    name.className = 'history__name'
+                    name.innerText = entry.name
+                    apply.appendChild(name)
+                }
+                apply.append(describeFilters(entry.filters, bounds, shelfNames))
+
+                const pin = button('pin', entry.id, entry.pinned ? '★' : '☆', entry.pinned ? 'Unpin search' : 'Pin search')
+                pin.setAttribute('aria-pressed', String(entry.pinned))
+                item.append(
+                    apply,
+                    pin,
+                    button('rename', entry.id, '✎', 'Name search'),
+                    button('remove', entry.id, '×', 'Remove search')
+                )
+                return item
+            }))
+        },
+
+        async handleHistoryClick(event) {
+            const target = event.target.closest('[data-history-action]')
+            if (!target) return
+            const { historyAction: action, historyId: id } = target.dataset
+            const entry = this.history.get(id)
+            if (!entry) return
+
+            if (action === 'apply') {
+                this.setFormFilters(entry.filters)
+                this.liveSearch.cancel()
+                if (!(await this.runSearch(entry.filters))) return
+                this.history.record(entry.filters)
+                this.toggleOverlay('search', false)
+                this.router.navigate(this.searchPath(entry.filters))
+                window.scrollTo({ top: 0, behavior: 'smooth' })
+            } else if (action === 'pin') {
+                this.history.togglePin(id)
+            } else if (action === 'rename') {
+                const name = window.prompt('Name this search', entry.name)
+                if (name !== null) this.history.rename(id, name)
+            } else if (action === 'remove') {
+                this.history.remove(id)
+            }
+            this.renderHistory()
+        },
+
+        handleSort(event) {
+            const [key, direction] = event.target.value.split(':')
+            this.bookList.sort(key, direction)
+            this.renderBooks()
+            this.updateListControls()
+            this.listPath = this.searchPath(this.appliedFilters, this.bookList.currentPage)
+            this.router.navigate(this.listPath, { replace: true })
+        },
+
+        handlePageSize(event) {
+            const size = Number(event.target.value)
+            this.bookList.setPageSize(size)
+            this.library.saveSetting('pageSize', size)
+            document.querySelector('[data-list-items]').replaceChildren()
+            this.renderBooks(this.bookList.loadedBooks())
+            this.updateListControls()
+            this.listPath = this.searchPath(this.appliedFilters, this.bookList.currentPage)
+            this.router.navigate(this.listPath, { replace: true })
+        },
+
+        handlePageSelect(page) {
+            this.router.navigate(this.searchPath(this.appliedFilters, page))
+            window.scrollTo({ top: 0 })
+        },
+
+        handleSettingsUpdate(event) {
             event.preventDefault()
             const formData = new FormData(event.target)
-            const { theme } = Object.fromEntries(formData)
+            const { theme, listMode } = Object.fromEntries(formData)
             this.applyTheme(theme)
+            if (listMode !== this.listMode) {
+                this.setListMode(listMode)
+                this.library.saveSetting('listMode', this.listMode)
+            }
             this.toggleOverlay('settings', false)
         },
 
@@ -107,22 +693,222 @@ export const createBookUI = (bookList) => {
                     active = this.bookList.books.find(book => book.id === node.dataset.preview)
                 }
             }
-            if (active) this.showBookDetails(active)
+            if (!active) return
+            this.returnOnClose = true
+            this.router.navigate(`/book/${active.id}`)
+        },
+
+        renderShelfControls(book) {
+            const buttons = this.library.shelves().map(shelf => {
+                const button = document.createElement('button')
+                const custom = !STATUS_SHELVES.includes(shelf)
+                button.className = `shelves__button${custom ? ' shelves__button_custom' : ''}`
+                button.dataset.shelf = shelf.id
+                button.setAttribute('aria-pressed', String(this.library.isOnShelf(book.id, shelf.id)))
+                button.innerText = shelf.name
+                return button
+            })
+
+            const create = document.createElement('button')
+            create.className = 'shelves__button shelves__button_new'
+            create.dataset.shelfCreate = ''
+            create.innerText = '+ New shelf'
+
+            const container = document.querySelector('[data-list-shelves]')
+            container.dataset.book = book.id
+            container.replaceChildren(...buttons, create)
+        },
+
+        async handleShelfClick(event) {
+            const container = event.currentTarget
+            const book = this.bookList.books.find(book => book.id === container.dataset.book)
+            const target = event.target.closest('button')
+            if (!book || !target) return
+
+            if (target.dataset.shelfCreate !== undefined) {
+                const name = window.prompt('Name the new shelf')
+                if (!name?.trim()) return
+                const shelf = await this.library.createShelf(name)
+                await this.library.toggleShelf(book.id, shelf.id)
+                this.populateShelfOptions()
+            } else {
+                await this.library.toggleShelf(book.id, target.dataset.shelf)
+            }
+            this.renderShelfControls(book)
+            this.syncPreviewShelf(book.id)
+        },
+
+        async handlePreviewShelfChange(event) {
+            const select = event.target.closest('[data-preview-shelf]')
+            if (!select) return
+            await this.library.setStatus(select.dataset.previewShelf, select.value)
+        },
+
+        syncPreviewShelf(bookId) {
+            const { status } = this.library.entryFor(bookId)
+            for (const select of document.querySelectorAll(`[data-preview-shelf="${bookId}"]`)) {
+                select.value = status || ''
+            }
+        },
+
+        renderProgress(book) {
+            const progress = this.library.progressFor(book.id)
+            const bar = document.querySelector('[data-progress-bar]')
+            bar.max = book.pages
+            bar.value = progress?.currentPage || 0
+            document.querySelector('[data-progress-summary]').innerText = describeProgress(progress, book.pages)
+            const form = document.querySelector('[data-progress-form]')
+            form.elements.page.max = book.pages
+            form.elements.page.value = progress?.currentPage ?? ''
+            form.elements.date.value = today()
+            form.elements.startedAt.value = progress?.startedAt || today()
+            document.querySelector('[data-progress-reset]').hidden = !progress
+        },
+
+        async handleProgressSubmit(event) {
+            event.preventDefault()
+            if (!this.activeBook) return
+            const book = this.activeBook
+            const { page, date, startedAt } = Object.fromEntries(new FormData(event.target))
+            await this.library.logProgress(book.id, { page: Number(page), pages: book.pages, date, startedAt })
+            this.renderProgress(book)
+            this.renderShelfControls(book)
+            this.refreshPreviews(book.id)
+        },
+
+        async handleProgressReset() {
+            if (!this.activeBook) return
+            const book = this.activeBook
+            await this.library.resetProgress(book.id)
+            this.renderProgress(book)
+            this.refreshPreviews(book.id)
+        },
+
+        renderReview(book) {
+            const { rating, review } = this.library.reviewFor(book.id)
+            const stars = [1, 2, 3, 4, 5].map(value => {
+                const star = document.createElement('button')
+                star.type = 'button'
+                star.className = `review__star${value <= (rating || 0) ? ' review__star_filled' : ''}`
+                star.dataset.rating = value
+                star.setAttribute('role', 'radio')
+                star.setAttribute('aria-checked', String(value === rating))
+                star.setAttribute('aria-label', `${value} ${value === 1 ? 'star' : 'stars'}`)
+                star.innerText = '★'
+                return star
+            })
+            document.querySelector('[data-review-stars]').replaceChildren(...stars)
+            document.querySelector('[data-review-body]').replaceChildren(renderMarkdown(review))
+            document.querySelector('[data-review-form]').elements.review.value = review
+            document.querySelector('[data-review-edit]').innerText = review ? 'Edit review' : 'Write a review'
+            this.toggleReviewForm(false)
+        },
+
+        toggleReviewForm(editing) {
+            document.querySelector('[data-review-form]').hidden = !editing
+            document.querySelector('[data-review-body]').hidden = editing
+            document.querySelector('[data-review-edit]').hidden = editing
+            if (editing) document.querySelector('[data-review-form]').elements.review.focus()
+        },
+
+        async handleRatingClick(event) {
+            const star = event.target.closest('[data-rating]')
+            if (!star || !this.activeBook) return
+            const book = this.activeBook
+            const value = Number(star.dataset.rating)
+            const { rating } = this.library.reviewFor(book.id)
+            await this.library.saveReview(book.id, { rating: value === rating ? null : value })
+            this.renderReview(book)
+            this.refreshPreviews(book.id)
+        },
+
+        async handleReviewSubmit(event) {
+            event.preventDefault()
+            if (!this.activeBook) return
+            const book = this.activeBook
+            await this.library.saveReview(book.id, { review: event.target.elements.review.value })
+            this.renderReview(book)
+        },
+
+        refreshPreviews(bookId) {
+            const book = this.bookList.books.find(book => book.id === bookId)
+            for (const button of document.querySelectorAll(`[data-preview="${bookId}"]`)) {
+                const preview = button.closest('.preview')
+                const options = preview.parentElement.matches('[data-list-items]') ? this.bookList.highlight : {}
+                preview.replaceWith(book.previewElement({ ...options, entry: this.library.entryFor(bookId) }))
+            }
+        },
+
+        handleRecommendationClick(event) {
+            const target = event.target.closest('[data-recommendation]')
+            const book = target && this.bookList.books.find(book => book.id === target.dataset.recommendation)
+            if (!book) return
+            this.router.navigate(`/book/${book.id}`, { replace: true })
+            this.showBookDetails(book)
+        },
+
+        renderRecommendations(book) {
+            const items = this.bookList.recommendations(book).map(other => {
+                const button = document.createElement('button')
+                button.className = 'recommendation'
+                button.dataset.recommendation = other.id
+                const image = document.createElement('img')
+                image.className = 'recommendation__image'
+                image.src = other.image
+                image.alt = ''
+                image.loading = 'lazy'
+                const title = document.createElement('span')
+                title.className = 'recommendation__title'
+                title.innerText = other.title
+                button.append(image, title)
+                return button
+            })
+            const container = document.querySelector('[data-list-recommendations]')
+            container.replaceChildren(...items)
+            container.scrollLeft = 0
         },
 
         showBookDetails(book) {
             document.querySelector('[data-list-active]').open = true
             document.querySelector('[data-list-blur]').src = book.image
             document.querySelector('[data-list-image]').src = book.image
-            document.querySelector('[data-list-title]').innerText = book.title
-            document.querySelector('[data-list-subtitle]').innerText = `${authors[book.author]} (${book.published.getFullYear()})`
-            document.querySelector('[data-list-description]').innerText = book.description
+            const { terms } = this.bookList.highlight
+            document.querySelector('[data-list-title]').replaceChildren(highlightText(book.title, terms))
+            const authorLink = document.createElement('a')
+            authorLink.className = 'overlay__link'
+            authorLink.href = `#/author/${book.author}`
+            authorLink.appendChild(highlightText(authors[book.author], terms))
+            document.querySelector('[data-list-subtitle]').replaceChildren(authorLink, ` (${book.published.getFullYear()}) · ${book.pages} pages`)
+            this.activeBook = book
+            this.showDescription(book)
+            this.renderShelfControls(book)
+            this.renderProgress(book)
+            this.renderReview(book)
+            this.renderRecommendations(book)
+            document.querySelector('[data-list-active]').scrollTop = 0
+        },
+
+        async showDescription(book) {
+            const element = document.querySelector('[data-list-description]')
+            if (book.description === undefined) {
+                element.innerText = 'Loading description…'
+                try {
+                    await this.bookList.loadDescriptions([book])
+                } catch {
+                    if (this.activeBook === book) element.innerText = 'The description could not be loaded.'
+                    return
+                }
+                if (this.activeBook !== book) return
+            }
+            element.replaceChildren(highlightText(book.description, this.bookList.highlight.terms))
         },
 
         loadMoreBooks() {
             if (this.bookList.nextPage()) {
                 this.renderBooks()
-                this.updateShowMoreButton()
+                this.updateListControls()
+                this.listPath = this.searchPath(this.appliedFilters, this.bookList.currentPage)
+                this.router.navigate(this.listPath, { replace: true })
             }
         },
 
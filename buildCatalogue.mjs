@@ -0,0 +1,44 @@
+// Regenerates catalogue/ from data.js: node buildCatalogue.mjs
+import { mkdir, readdir, rm, writeFile } from 'node:fs/promises'
+import { authors, books, BOOKS_PER_PAGE, genres } from './data.js'
+import { createRecommender } from './recommend.js'
+import { createInvertedIndex } from './textIndex.js'
+
+const OUTPUT = new URL('./catalogue/', import.meta.url)
+const CHUNK_SIZE = 100
+const RELATED_COUNT = 8
+
+const write = (name, value) => writeFile(new URL(name, OUTPUT), JSON.stringify(value))
+
+await mkdir(OUTPUT, { recursive: true })
+for (const name of await readdir(OUTPUT)) {
+    if (name.endsWith('.json')) await rm(new URL(name, OUTPUT))
+}
+
+const chunks = []
+for (let start = 0; start < books.length; start += CHUNK_SIZE) {
+    chunks.push(books.slice(start, start + CHUNK_SIZE))
+}
+
+// Recommendations need every description, so they are computed here and stored as positions in the books list.
+const positions = new Map(books.map((book, position) => [book.id, position]))
+const recommender = createRecommender(books, createInvertedIndex(books))
+
+await write('index.json', {
+    booksPerPage: BOOKS_PER_PAGE,
+    chunkSize: CHUNK_SIZE,
+    chunks: chunks.length,
+    authors,
+    genres,
+    books: books.map(({ description, ...metadata }) => ({
+        ...metadata,
+        related: recommender.recommend(metadata, RELATED_COUNT).map(other => positions.get(other.id))
+    }))
+})
+
+await Promise.all(chunks.map((chunk, index) => write(
+    `descriptions-${index}.json`,
+    Object.fromEntries(chunk.map(book => [book.id, book.description]))
+)))
+
+console.log(`Wrote ${books.length} books in ${chunks.length} description chunks`)
@@ -0,0 +1,41 @@
+const CATALOGUE_URL = new URL('./catalogue/', import.meta.url)
+
+export let authors = {}
+export let genres = {}
+
+let chunkSize = Infinity
+let positions = new Map()
+const chunkRequests = new Map()
+
+const fetchJson = async (name) => {
+    const response = await fetch(new URL(name, CATALOGUE_URL))
+    if (!response.ok) throw new Error(`Could not load ${name} (${response.status})`)
+    return response.json()
+}
+
+export const loadCatalogue = async () => {
+    const index = await fetchJson('index.json')
+    authors = index.authors
+    genres = index.genres
+    chunkSize = index.chunkSize
+    positions = new Map(index.books.map((book, position) => [book.id, position]))
+    const books = index.books.map(book => ({ ...book, related: book.related?.map(position => index.books[position].id) }))
+    return { books, booksPerPage: index.booksPerPage }
+}
+
+const loadChunk = (chunk) => {
+    if (!chunkRequests.has(chunk)) {
+        const request = fetchJson(`descriptions-${chunk}.json`).catch((error) => {
+            chunkRequests.delete(chunk)
+            throw error
+        })
+        chunkRequests.set(chunk, request)
+    }
+    return chunkRequests.get(chunk)
+}
+
+export const loadDescriptions = async (ids) => {
+    const chunks = new Set(ids.filter(id => positions.has(id)).map(id => Math.floor(positions.get(id) / chunkSize)))
+    const loaded = await Promise.all([...chunks].map(loadChunk))
+    return Object.assign({}, ...loaded)
+}
@@ -0,0 +1,62 @@
+const DAY = 24 * 60 * 60 * 1000
+
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+export const GOAL_UNITS = {
+    books: ['book', 'books'],
+    pages: ['page', 'pages']
+}
+
+export const unitLabel = (count, type = 'books') => `${count} ${GOAL_UNITS[type][count === 1 ? 0 : 1]}`
+
+export const yearElapsed = (year, now = new Date()) => {
+    if (now.getFullYear() !== year) return now.getFullYear() > year ? 1 : 0
+    const start = Date.UTC(year, 0, 1)
+    const elapsed = Date.UTC(year, now.getMonth(), now.getDate()) - start + DAY
+    return elapsed / (Date.UTC(year + 1, 0, 1) - start)
+}
+
+export const finishedInYear = (progressEntries, books, year) => {
+    const byId = new Map(books.map(book => [book.id, book]))
+    return progressEntries
+        .filter(entry => entry.finishedAt?.startsWith(`${year}-`) && byId.has(entry.bookId))
+        .map(entry => ({ book: byId.get(entry.bookId), finishedAt: entry.finishedAt }))
+        .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+}
+
+export const challengeSummary = (finished, { type = 'books', target = 0 } = {}, year, now = new Date()) => {
+    const months = Array(12).fill(0)
+    for (const { book, finishedAt } of finished) {
+        months[Number(finishedAt.slice(5, 7)) - 1] += type === 'pages' ? book.pages : 1
+    }
+    const total = months.reduce((sum, value) => sum + value, 0)
+    const elapsed = yearElapsed(year, now)
+    const expected = Math.floor(target * elapsed)
+    const difference = total - expected
+
+    let status = 'unset'
+    if (target && total >= target) status = 'complete'
+    else if (target && elapsed === 1) status = 'missed'
+    else if (target) status = difference >= 0 ? 'on-track' : 'behind'
+
+    return {
+        type,
+        target,
+        total,
+        months,
+        expected,
+        difference,
+        status,
+        percent: target ? Math.min(100, Math.round((total / target) * 100)) : 0
+    }
+}
+
+export const describeChallenge = ({ type, target, total, difference, status }) => {
+    switch (status) {
+        case 'complete': return `Goal reached with ${unitLabel(total, type)}`
+        case 'missed': return `Missed by ${unitLabel(target - total, type)}`
+        case 'behind': return `Behind by ${unitLabel(-difference, type)}`
+        case 'on-track': return difference > 0 ? `On track · ${unitLabel(difference, type)} ahead` : 'On track'
+        default: return 'Set a goal to start the challenge'
+    }
+}
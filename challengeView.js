@@ -0,0 +1,71 @@
+import { challengeSummary, describeChallenge, finishedInYear, MONTHS, unitLabel } from './challenge.js'
+
+const RING_RADIUS = 52
+const RING_LENGTH = 2 * Math.PI * RING_RADIUS
+
+export const createChallengeView = (bookList) => {
+    const challengeView = {
+        bookList,
+
+        render(year) {
+            const library = this.bookList.library
+            const goal = library.setting(`challenge-${year}`, { type: 'books', target: 0 })
+            const finished = finishedInYear([...library.progress.values()], this.bookList.books, year)
+            const summary = challengeSummary(finished, goal, year)
+
+            document.querySelector('[data-challenge-year]').innerText = year
+            document.querySelector('[data-challenge-prev]').href = `#/challenge?year=${year - 1}`
+            document.querySelector('[data-challenge-next]').href = `#/challenge?year=${year + 1}`
+
+            const form = document.querySelector('[data-challenge-form]')
+            form.elements.year.value = year
+            form.elements.target.value = goal.target || ''
+            form.elements.type.value = goal.type
+
+            this.renderRing(summary)
+            document.querySelector('[data-challenge-count]').innerText = summary.target
+                ? `${unitLabel(summary.total, summary.type)} of ${summary.target}`
+                : unitLabel(summary.total, summary.type)
+            const status = document.querySelector('[data-challenge-status]')
+            status.innerText = describeChallenge(summary)
+            status.dataset.status = summary.status
+
+            this.renderChart(summary)
+
+            const fragment = document.createDocumentFragment()
+            finished.forEach(({ book }) => fragment.appendChild(book.previewElement({ entry: library.entryFor(book.id) })))
+            document.querySelector('[data-challenge-items]').replaceChildren(fragment)
+            document.querySelector('[data-challenge-empty]').hidden = finished.length > 0
+        },
+
+        renderRing({ percent }) {
+            const value = document.querySelector('[data-challenge-ring]')
+            value.setAttribute('stroke-dasharray', RING_LENGTH)
+            value.setAttribute('stroke-dashoffset', RING_LENGTH * (1 - percent / 100))
+            document.querySelector('[data-challenge-percent]').innerText = `${percent}%`
+        },
+
+        renderChart({ months, target, type }) {
+            const pace = target / 12
+            const scale = Math.max(...months, pace, 1)
+            const bars = months.map((value, index) => {
+                const month = document.createElement('div')
+                month.className = 'challenge__month'
+                month.title = `${MONTHS[index]}: ${unitLabel(value, type)}`
+                const bar = document.createElement('span')
+                bar.className = 'challenge__bar'
+                bar.style.height = `${(value / scale) * 100}%`
+                const label = document.createElement('span')
+                label.className = 'challenge__label'
+                label.innerText = MONTHS[index]
+                month.append(bar, label)
+                return month
+            })
+            const chart = document.querySelector('[data-challenge-chart]')
+            chart.replaceChildren(...bars)
+            chart.style.setProperty('--pace', `${(pace / scale) * 100}%`)
+            chart.classList.toggle('challenge__chart_paced', pace > 0)
+        }
+    }
+    return challengeView
+}
@@ -0,0 +1,15 @@
+export const registerServiceWorker = async () => {
+    if (!('serviceWorker' in navigator)) return null
+    try {
+        return await navigator.serviceWorker.register('./sw.js')
+    } catch {
+        return null
+    }
+}
+
+export const watchConnection = (onChange) => {
+    const update = () => onChange(navigator.onLine)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    update()
+}
@@ -0,0 +1,48 @@
+export const parseCsv = (text) => {
+    const rows = []
+    let row = []
+    let field = ''
+    let quoted = false
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index]
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"'
+                index++
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                field += char
+            }
+        } else if (char === '"') {
+            quoted = true
+        } else if (char === ',') {
+            row.push(field)
+            field = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index++
+            row.push(field)
+            rows.push(row)
+            row = []
+            field = ''
+        } else {
+            field += char
+        }
+    }
+    if (field || row.length) rows.push([...row, field])
+    return rows.filter(cells => cells.some(cell => cell.trim()))
+}
+
+const escapeCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value)
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeCell).join(',')).join('\r\n')
+
+export const csvToObjects = (text) => {
+    const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''))
+    const keys = header.map(key => key.trim())
+    return rows.map(cells => Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ''])))
+}
@@ -0,0 +1,64 @@
+import { compareBackup, createBackup, goodreadsCsv, libraryCsv, parseBackup, restoreBackup, trackedBooks } from './libraryExport.js'
+import { today } from './readingProgress.js'
+import { downloadFile } from './utils.js'
+
+const EXPORTS = {
+    json: {
+        name: (date) => `book-connect-backup-${date}.json`,
+        type: 'application/json',
+        content: (library) => JSON.stringify(createBackup(library), null, 2)
+    },
+    csv: {
+        name: (date) => `book-connect-library-${date}.csv`,
+        type: 'text/csv',
+        content: (library, books) => libraryCsv(library, books)
+    },
+    goodreads: {
+        name: () => 'goodreads_library_export.csv',
+        type: 'text/csv',
+        content: (library, books) => goodreadsCsv(library, books)
+    }
+}
+
+export const createExportView = (bookList) => {
+    const exportView = {
+        bookList,
+        backup: null,
+
+        render() {
+            const library = this.bookList.library
+            const count = trackedBooks(library, this.bookList.books).length
+            const ratings = library.records('reviews').filter(review => review.rating).length
+            document.querySelector('[data-export-summary]').innerText =
+                `${count} ${count === 1 ? 'book' : 'books'} tracked · ${ratings} rated · ${library.customShelves.length} custom shelves`
+        },
+
+        download(format) {
+            const { name, type, content } = EXPORTS[format]
+            downloadFile(name(today()), content(this.bookList.library, this.bookList.books), type)
+        },
+
+        load(text) {
+            this.backup = parseBackup(text)
+            const changes = compareBackup(this.bookList.library, this.backup)
+            const count = (kind) => changes.filter(change => change.kind === kind).length
+            document.querySelector('[data-restore-preview]').innerText =
+                `Backup from ${new Date(this.backup.exportedAt).toLocaleString()}: ${count('new')} new, ${count('conflict')} conflicting and ${count('identical')} unchanged records`
+            document.querySelector('[data-restore-options]').hidden = false
+        },
+
+        reset() {
+            this.backup = null
+            document.querySelector('[data-restore-preview]').innerText = ''
+            document.querySelector('[data-restore-options]').hidden = true
+        },
+
+        async restore(strategy) {
+            const summary = await restoreBackup(this.bookList.library, this.backup, strategy)
+            this.reset()
+            this.render()
+            return summary
+        }
+    }
+    return exportView
+}
@@ -0,0 +1,66 @@
+export const MATCH_THRESHOLD = 0.6
+
+export const foldAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+
+export const normalise = (text = '') => foldAccents(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+
+export const levenshtein = (a, b) => {
+    if (a === b) return 0
+    if (!a.length) return b.length
+    if (!b.length) return a.length
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i]
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+        }
+        previous = current
+    }
+    return previous[b.length]
+}
+
+export const trigrams = (text) => {
+    const padded = `  ${text} `
+    const grams = new Set()
+    for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3))
+    return grams
+}
+
+export const trigramSimilarity = (a, b) => {
+    const gramsA = trigrams(a)
+    const gramsB = trigrams(b)
+    let shared = 0
+    for (const gram of gramsA) if (gramsB.has(gram)) shared++
+    return (2 * shared) / (gramsA.size + gramsB.size)
+}
+
+export const tokenSimilarity = (a, b) => {
+    if (b.startsWith(a)) return 1
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length)
+}
+
+export const fuzzyScore = (query, text) => {
+    const needle = normalise(query)
+    if (!needle) return 1
+    const haystack = normalise(text)
+    if (!haystack) return 0
+    if (haystack.includes(needle)) {
+        const start = haystack.startsWith(needle)
+        if (` ${haystack} `.includes(` ${needle} `)) return start ? 1 : 0.95
+        if (` ${haystack}`.includes(` ${needle}`)) return start ? 0.9 : 0.85
+        return 0.75
+    }
+
+    const words = haystack.split(' ')
+    const tokens = needle.split(' ')
+    let total = 0
+    for (const token of tokens) {
+        total += Math.max(...words.map(word => tokenSimilarity(token, word)))
+    }
+    return Math.max(total / tokens.length, trigramSimilarity(needle, haystack)) * 0.9
+}
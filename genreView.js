@@ -0,0 +1,62 @@
+import { genres } from './catalogue.js'
+import { genreSummaries, relatedGenres } from './bookStats.js'
+
+export const createGenreView = (bookList) => {
+    const genreView = {
+        bookList,
+
+        renderIndex() {
+            const tiles = genreSummaries(this.bookList.books).map(({ id, count, covers }) => {
+                const tile = document.createElement('a')
+                tile.className = 'genre-tile'
+                tile.href = `#/genre/${id}`
+
+                const mosaic = document.createElement('span')
+                mosaic.className = 'genre-tile__mosaic'
+                for (const cover of covers) {
+                    const image = document.createElement('img')
+                    image.src = cover
+                    image.alt = ''
+                    image.loading = 'lazy'
+                    mosaic.appendChild(image)
+                }
+
+                const name = document.createElement('span')
+                name.className = 'genre-tile__name'
+                name.innerText = genres[id]
+                const total = document.createElement('span')
+                total.className = 'genre-tile__count'
+                total.innerText = `${count} ${count === 1 ? 'book' : 'books'}`
+
+                tile.append(mosaic, name, total)
+                return tile
+            })
+            document.querySelector('[data-genre-tiles]').replaceChildren(...tiles)
+        },
+
+        renderGenre(genreId, withId = null) {
+            const tagged = this.bookList.books.filter(book => book.genres.includes(genreId))
+            const shown = withId ? tagged.filter(book => book.genres.includes(withId)) : tagged
+            const title = withId ? `${genres[genreId]} + ${genres[withId]}` : genres[genreId]
+
+            document.querySelector('[data-genre-name]').innerText = title
+            document.querySelector('[data-genre-count]').innerText = `${shown.length} ${shown.length === 1 ? 'book' : 'books'}`
+
+            const chips = relatedGenres(this.bookList.books, genreId).map(({ id, count }) => {
+                const chip = document.createElement('a')
+                chip.className = `genre__chip${id === withId ? ' genre__chip_active' : ''}`
+                chip.href = id === withId ? `#/genre/${genreId}` : `#/genre/${genreId}?with=${id}`
+                chip.innerText = `${genres[id]} (${count})`
+                return chip
+            })
+            document.querySelector('[data-genre-related]').replaceChildren(...chips)
+
+            const fragment = document.createDocumentFragment()
+            shown
+                .sort((a, b) => b.popularity - a.popularity)
+                .forEach(book => fragment.appendChild(book.previewElement({ entry: this.bookList.library.entryFor(book.id) })))
+            document.querySelector('[data-genre-items]').replaceChildren(fragment)
+        }
+    }
+    return genreView
+}
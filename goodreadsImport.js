@@ -0,0 +1,164 @@
+import { authors } from './catalogue.js'
+import { csvToObjects } from './csv.js'
+import { fuzzyScore, normalise, trigrams, MATCH_THRESHOLD } from './fuzzy.js'
+
+const REQUIRED_COLUMNS = ['Title', 'Author']
+export const EXCLUSIVE_SHELVES = { 'to-read': 'want', 'currently-reading': 'reading', read: 'read' }
+const MAX_CANDIDATES = 5
+const SHORTLIST_SIZE = 50
+
+export class ImportError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = 'ImportError'
+    }
+}
+
+export const titleKey = (title = '') => normalise(title.replace(/\s*\([^)]*#\d+[^)]*\)\s*$/, ''))
+
+const authorKey = (name = '') => normalise(name)
+
+const toDate = (value = '') => {
+    const match = value.trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/)
+    return match ? `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}` : null
+}
+
+const reviewText = (html = '') => html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .trim()
+
+export const parseGoodreads = (text) => {
+    const records = csvToObjects(text)
+    if (!records.length) throw new ImportError('The file does not contain any books')
+    const missing = REQUIRED_COLUMNS.filter(column => !(column in records[0]))
+    if (missing.length) throw new ImportError(`This does not look like a Goodreads export (missing ${missing.join(', ')})`)
+
+    return records.map((record, index) => {
+        const exclusive = record['Exclusive Shelf']?.trim() || ''
+        return {
+            line: index + 2,
+            title: record.Title.trim(),
+            author: record.Author.trim(),
+            additionalAuthors: (record['Additional Authors'] || '').split(',').map(name => name.trim()).filter(Boolean),
+            rating: Number(record['My Rating']) || null,
+            review: reviewText(record['My Review']),
+            dateRead: toDate(record['Date Read']),
+            dateAdded: toDate(record['Date Added']),
+            status: EXCLUSIVE_SHELVES[exclusive] || null,
+            shelves: (record.Bookshelves || '')
+                .split(',')
+                .map(name => name.trim())
+                .filter(name => name && name !== exclusive && !EXCLUSIVE_SHELVES[name])
+        }
+    })
+}
+
+const sameAuthor = (row, book) => {
+    const name = authorKey(authors[book.author])
+    return [row.author, ...row.additionalAuthors].some(author => authorKey(author) === name)
+}
+
+const candidateScore = (row, book) => 0.65 * fuzzyScore(titleKey(row.title), titleKey(book.title))
+    + 0.35 * fuzzyScore(row.author, authors[book.author])
+
+const wordGrams = (text) => new Set(normalise(text).split(' ').filter(Boolean).flatMap(word => [...trigrams(word)]))
+
+const createShortlist = (books) => {
+    const postings = new Map()
+    books.forEach((book, index) => {
+        for (const gram of wordGrams(`${titleKey(book.title)} ${authors[book.author]}`)) {
+            if (!postings.has(gram)) postings.set(gram, [])
+            postings.get(gram).push(index)
+        }
+    })
+
+    return (row) => {
+        const shared = new Map()
+        for (const gram of wordGrams(`${titleKey(row.title)} ${row.author}`)) {
+            for (const index of postings.get(gram) || []) shared.set(index, (shared.get(index) || 0) + 1)
+        }
+        return [...shared]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, SHORTLIST_SIZE)
+            .map(([index]) => books[index])
+    }
+}
+
+export const matchRows = (rows, books) => {
+    const byTitle = new Map()
+    for (const book of books) {
+        const key = titleKey(book.title)
+        byTitle.set(key, [...(byTitle.get(key) || []), book])
+    }
+    const shortlist = createShortlist(books)
+
+    return rows.map(row => {
+        const sameTitle = byTitle.get(titleKey(row.title)) || []
+        const exact = sameTitle.filter(book => sameAuthor(row, book))
+        if (exact.length === 1) return { row, status: 'matched', bookId: exact[0].id, candidates: exact }
+
+        const candidates = exact.length
+            ? exact
+            : [
+                ...sameTitle,
+                ...shortlist(row)
+                    .filter(book => !sameTitle.includes(book))
+                    .map(book => ({ book, score: candidateScore(row, book) }))
+                    .filter(({ score }) => score >= MATCH_THRESHOLD)
+                    .sort((a, b) => b.score - a.score)
+                    .map(({ book }) => book)
+            ].slice(0, MAX_CANDIDATES)
+        return {
+            row,
+            status: candidates.length ? 'ambiguous' : 'unmatched',
+            bookId: null,
+            candidates
+        }
+    })
+}
+
+export const applyImport = async (library, books, resolutions) => {
+    const byId = new Map(books.map(book => [book.id, book]))
+    const summary = { books: 0, ratings: 0, finished: 0, shelves: 0 }
+
+    for (const { row, bookId } of resolutions) {
+        const book = byId.get(bookId)
+        if (!book) continue
+        summary.books++
+
+        for (const name of row.shelves) {
+            let shelf = library.shelfByName(name)
+            if (!shelf) {
+                shelf = await library.createShelf(name)
+                summary.shelves++
+            }
+            if (!library.isOnShelf(book.id, shelf.id)) await library.toggleShelf(book.id, shelf.id)
+        }
+
+        const changes = {}
+        if (row.rating) changes.rating = row.rating
+        if (row.review) changes.review = row.review
+        if (Object.keys(changes).length) {
+            await library.saveReview(book.id, changes)
+            if (row.rating) summary.ratings++
+        }
+
+        if (row.status === 'read' && row.dateRead) {
+            await library.logProgress(book.id, { page: book.pages, pages: book.pages, date: row.dateRead, startedAt: row.dateRead })
+            summary.finished++
+        } else if (row.status) {
+            await library.setStatus(book.id, row.status)
+        }
+
+        const membership = library.memberships.get(book.id)
+        if (row.dateAdded && membership) {
+            await library.saveMembership(book.id, { addedAt: [membership.addedAt, row.dateAdded].filter(Boolean).sort()[0] })
+        }
+    }
+    return summary
+}
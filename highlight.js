@@ -0,0 +1,47 @@
+import { normalise, tokenSimilarity } from './fuzzy.js'
+import { stem, STOP_WORDS } from './textIndex.js'
+
+const WORD = /[\p{L}\p{N}]+/gu
+
+export const highlightTerms = (values) => [...new Set(values
+    .flatMap(value => normalise(value).split(' '))
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term)))]
+
+const matchesTerm = (word, term) => word.startsWith(term)
+    || (term.length >= 4 && tokenSimilarity(term, word) >= 0.75)
+    || stem(word) === stem(term)
+
+export const findHighlights = (text = '', terms = []) => {
+    if (!terms.length) return []
+    const ranges = []
+    for (const match of text.matchAll(WORD)) {
+        const word = normalise(match[0])
+        if (word && terms.some(term => matchesTerm(word, term))) {
+            ranges.push([match.index, match.index + match[0].length])
+        }
+    }
+    return ranges
+}
+
+export const highlightText = (text = '', terms = []) => {
+    const fragment = document.createDocumentFragment()
+    let position = 0
+    for (const [start, end] of findHighlights(text, terms)) {
+        if (start > position) fragment.appendChild(document.createTextNode(text.slice(position, start)))
+        const mark = document.createElement('mark')
+        mark.textContent = text.slice(start, end)
+        fragment.appendChild(mark)
+        position = end
+    }
+    if (position < text.length) fragment.appendChild(document.createTextNode(text.slice(position)))
+    return fragment
+}
+
+export const excerpt = (text = '', terms = [], length = 160) => {
+    if (text.length <= length) return text
+    const [first] = findHighlights(text, terms)
+    if (!first) return `${text.slice(0, length).trim()}…`
+    const start = Math.max(0, text.lastIndexOf(' ', Math.max(0, first[0] - length / 3)))
+    const snippet = text.slice(start, start + length).trim()
+    return `${start > 0 ? '…' : ''}${snippet}${start + length < text.length ? '…' : ''}`
+}
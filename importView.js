@@ -0,0 +1,117 @@
+import { authors } from './catalogue.js'
+import { applyImport, matchRows, parseGoodreads } from './goodreadsImport.js'
+
+const MAX_SEARCH_RESULTS = 8
+
+const bookLabel = (book) => `${book.title} — ${authors[book.author]} (${book.published.getFullYear()})`
+
+export const createImportView = (bookList) => {
+    const importView = {
+        bookList,
+        results: [],
+
+        load(text) {
+            this.results = matchRows(parseGoodreads(text), this.bookList.books)
+            this.render()
+        },
+
+        reset() {
+            this.results = []
+            this.render()
+        },
+
+        render() {
+            const pending = this.results.filter(result => result.status !== 'matched')
+            const matched = this.results.filter(result => result.status === 'matched')
+
+            document.querySelector('[data-import-summary]').innerText = this.results.length
+                ? `${this.results.length} rows · ${matched.length} matched automatically · ${pending.length} need your help`
+                : ''
+            document.querySelector('[data-import-rows]').replaceChildren(...pending.map(result => this.rowElement(result)))
+
+            const matchedItems = matched.map(({ row, candidates: [book] }) => {
+                const item = document.createElement('li')
+                item.innerText = `${row.title} → ${bookLabel(book)}`
+                return item
+            })
+            document.querySelector('[data-import-matched]').replaceChildren(...matchedItems)
+            document.querySelector('[data-import-matched-count]').innerText = `${matched.length} matched automatically`
+            document.querySelector('[data-import-matched-wrapper]').hidden = !matched.length
+            this.updateApplyButton()
+        },
+
+        rowElement(result) {
+            const index = this.results.indexOf(result)
+            const item = document.createElement('li')
+            item.className = `import__row import__row_${result.status}`
+
+            const label = document.createElement('div')
+            label.className = 'import__source'
+            label.innerText = `${result.row.title} — ${result.row.author}`
+            const note = document.createElement('span')
+            note.className = 'import__note'
+            note.innerText = result.status === 'ambiguous' ? 'Several possible matches' : 'No match found'
+            label.appendChild(note)
+
+            const search = document.createElement('input')
+            search.className = 'progress__input import__search'
+            search.type = 'search'
+            search.placeholder = 'Search the catalogue'
+            search.dataset.importSearch = index
+            search.setAttribute('aria-label', `Search for ${result.row.title}`)
+
+            const choice = document.createElement('select')
+            choice.className = 'progress__input import__choice'
+            choice.dataset.importChoice = index
+            choice.setAttribute('aria-label', `Match for ${result.row.title}`)
+            this.fillChoices(choice, result)
+
+            item.append(label, search, choice)
+            return item
+        },
+
+        fillChoices(select, result) {
+            const options = [['', 'Skip this book'], ...result.candidates.map(book => [book.id, bookLabel(book)])]
+            select.replaceChildren(...options.map(([value, text]) => {
+                const option = document.createElement('option')
+                option.value = value
+                option.innerText = text
+                option.selected = value === (result.bookId || '')
+                return option
+            }))
+        },
+
+        choose(index, bookId) {
+            this.results[index].bookId = bookId || null
+            this.updateApplyButton()
+        },
+
+        search(index, text) {
+            const result = this.results[index]
+            if (!text.trim()) return
+            result.candidates = this.bookList.rankByRelevance(this.bookList.books, text).slice(0, MAX_SEARCH_RESULTS)
+            if (!result.candidates.some(book => book.id === result.bookId)) result.bookId = null
+            this.fillChoices(document.querySelector(`[data-import-choice="${index}"]`), result)
+            this.updateApplyButton()
+        },
+
+        resolutions() {
+            return this.results.filter(result => result.bookId)
+        },
+
+        updateApplyButton() {
+            const count = this.resolutions().length
+            const button = document.querySelector('[data-import-apply]')
+            button.hidden = !this.results.length
+            button.disabled = !count
+            button.innerText = `Import ${count} ${count === 1 ? 'book' : 'books'}`
+        },
+
+        async apply() {
+            const summary = await applyImport(this.bookList.library, this.bookList.books, this.resolutions())
+            this.reset()
+            return summary
+        }
+    }
+    return importView
+}
@@ -0,0 +1,179 @@
+import { openLibraryDb, STORES } from './libraryDb.js'
+import { createId } from './utils.js'
+import { today } from './readingProgress.js'
+
+export const STATUS_SHELVES = [
+    { id: 'want', name: 'Want to read' },
+    { id: 'reading', name: 'Reading' },
+    { id: 'read', name: 'Read' }
+]
+
+const isStatus = (shelfId) => STATUS_SHELVES.some(shelf => shelf.id === shelfId)
+
+export const createLibrary = (db) => {
+    const library = {
+        db,
+        customShelves: [],
+        memberships: new Map(),
+        reviews: new Map(),
+        progress: new Map(),
+        settings: new Map(),
+
+        async load() {
+            const [shelves, memberships, reviews, progress, settings] = await Promise.all([
+                this.db.getAll('shelves'),
+                this.db.getAll('memberships'),
+                this.db.getAll('reviews'),
+                this.db.getAll('progress'),
+                this.db.getAll('settings')
+            ])
+            this.customShelves = shelves.sort((a, b) => a.name.localeCompare(b.name))
+            this.memberships = new Map(memberships.map(entry => [entry.bookId, entry]))
+            this.reviews = new Map(reviews.map(entry => [entry.bookId, entry]))
+            this.progress = new Map(progress.map(entry => [entry.bookId, entry]))
+            this.settings = new Map(settings.map(entry => [entry.key, entry]))
+            return this
+        },
+
+        shelves() {
+            return [...STATUS_SHELVES, ...this.customShelves]
+        },
+
+        shelfName(shelfId) {
+            return this.shelves().find(shelf => shelf.id === shelfId)?.name
+        },
+
+        shelfByName(name) {
+            const needle = name.trim().toLowerCase()
+            return this.customShelves.find(shelf => shelf.name.toLowerCase() === needle)
+        },
+
+        entryFor(bookId) {
+            const membership = this.memberships.get(bookId)
+            return {
+                status: membership?.status || null,
+                shelves: membership?.shelves || [],
+                rating: this.ratingFor(bookId),
+                progress: this.progressFor(bookId)
+            }
+        },
+
+        isOnShelf(bookId, shelfId) {
+            const { status, shelves } = this.entryFor(bookId)
+            return isStatus(shelfId) ? status === shelfId : shelves.includes(shelfId)
+        },
+
+        async saveMembership(bookId, changes) {
+            const current = this.memberships.get(bookId) || { bookId, status: null, shelves: [], addedAt: today() }
+            const membership = { ...current, ...changes, updatedAt: Date.now() }
+            if (!membership.status && !membership.shelves.length) {
+                this.memberships.delete(bookId)
+                await this.db.remove('memberships', bookId)
+            } else {
+                this.memberships.set(bookId, membership)
+                await this.db.put('memberships', membership)
+            }
+            return membership
+        },
+
+        setStatus(bookId, status) {
+            return this.saveMembership(bookId, { status: isStatus(status) ? status : null })
+        },
+
+        toggleShelf(bookId, shelfId) {
+            const { status, shelves } = this.entryFor(bookId)
+            if (isStatus(shelfId)) return this.setStatus(bookId, status === shelfId ? null : shelfId)
+            const next = shelves.includes(shelfId) ? shelves.filter(id => id !== shelfId) : [...shelves, shelfId]
+            return this.saveMembership(bookId, { shelves: next })
+        },
+
+        reviewFor(bookId) {
+            return this.reviews.get(bookId) || { bookId, rating: null, review: '' }
+        },
+
+        ratingFor(bookId) {
+            return this.reviews.get(bookId)?.rating || null
+        },
+
+        async saveReview(bookId, changes) {
+            const review = { ...this.reviewFor(bookId), ...changes, updatedAt: Date.now() }
+            review.review = review.review.trim()
+            if (!review.rating && !review.review) {
+                this.reviews.delete(bookId)
+                await this.db.remove('reviews', bookId)
+            } else {
+                this.reviews.set(bookId, review)
+                await this.db.put('reviews', review)
+            }
+            return review
+        },
+
+        progressFor(bookId) {
+            return this.progress.get(bookId) || null
+        },
+
+        async logProgress(bookId, { page, pages, date = today(), startedAt }) {
+            const current = this.progressFor(bookId) || { bookId, startedAt: date, log: [] }
+            const entry = { date, page: Math.min(pages, Math.max(0, Math.round(page))) }
+            const log = [...current.log.filter(item => item.date !== date), entry].sort((a, b) => a.date.localeCompare(b.date))
+            const latest = log.at(-1)
+            const start = [startedAt || current.startedAt, log[0].date].sort()[0]
+            const progress = {
+                ...current,
+                log,
+                startedAt: start,
+                currentPage: latest.page,
+                finishedAt: latest.page >= pages ? latest.date : null,
+                updatedAt: Date.now()
+            }
+            this.progress.set(bookId, progress)
+            await this.db.put('progress', progress)
+            await this.setStatus(bookId, progress.finishedAt ? 'read' : 'reading')
+            return progress
+        },
+
+        async resetProgress(bookId) {
+            this.progress.delete(bookId)
+            await this.db.remove('progress', bookId)
+        },
+
+        setting(key, fallback = null) {
+            return this.settings.has(key) ? this.settings.get(key).value : fallback
+        },
+
+        async saveSetting(key, value) {
+            const setting = { key, value, updatedAt: Date.now() }
+            this.settings.set(key, setting)
+            await this.db.put('settings', setting)
+            return value
+        },
+
+        records(store) {
+            return store === 'shelves' ? [...this.customShelves] : [...this[store].values()]
+        },
+
+        record(store, key) {
+            return this.records(store).find(record => record[STORES[store]] === key) || null
+        },
+
+        async putRecord(store, record) {
+            if (store === 'shelves') {
+                this.customShelves = [...this.customShelves.filter(shelf => shelf.id !== record.id), record]
+                    .sort((a, b) => a.name.localeCompare(b.name))
+            } else {
+                this[store].set(record[STORES[store]], record)
+            }
+            await this.db.put(store, record)
+        },
+
+        async createShelf(name) {
+            const shelf = { id: createId(), name: name.trim(), updatedAt: Date.now() }
+            this.customShelves = [...this.customShelves, shelf].sort((a, b) => a.name.localeCompare(b.name))
+            await this.db.put('shelves', shelf)
+            return shelf
+        }
+    }
+    return library
+}
+
+export const loadLibrary = async () => createLibrary(await openLibraryDb()).load()
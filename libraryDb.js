@@ -0,0 +1,83 @@
+const DB_NAME = 'book-connect'
+const DB_VERSION = 4
+
+export const STORES = {
+    shelves: 'id',
+    memberships: 'bookId',
+    reviews: 'bookId',
+    progress: 'bookId',
+    settings: 'key'
+}
+
+const UNSAVED_WARNING = 'This browser does not allow saving, so shelves, ratings and reading progress will be lost when the page closes.'
+const BLOCKED_WARNING = 'Another tab is running an older version of Book Connect. Close it and reload this page to save your changes.'
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+})
+
+const createIndexedDbStore = (db) => ({
+    warning: null,
+
+    getAll(store) {
+        return promisify(db.transaction(store).objectStore(store).getAll())
+    },
+
+    put(store, value) {
+        return promisify(db.transaction(store, 'readwrite').objectStore(store).put(value))
+    },
+
+    remove(store, key) {
+        return promisify(db.transaction(store, 'readwrite').objectStore(store).delete(key))
+    },
+
+    clear(store) {
+        return promisify(db.transaction(store, 'readwrite').objectStore(store).clear())
+    }
+})
+
+const createMemoryStore = (warning) => {
+    const data = Object.fromEntries(Object.keys(STORES).map(store => [store, new Map()]))
+    return {
+        warning,
+
+        async getAll(store) {
+            return [...data[store].values()].map(value => structuredClone(value))
+        },
+
+        async put(store, value) {
+            data[store].set(value[STORES[store]], structuredClone(value))
+        },
+
+        async remove(store, key) {
+            data[store].delete(key)
+        },
+
+        async clear(store) {
+            data[store].clear()
+        }
+    }
+}
+
+export const openLibraryDb = () => new Promise((resolve) => {
+    if (!window.indexedDB) {
+        resolve(createMemoryStore(UNSAVED_WARNING))
+        return
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+        const db = request.result
+        for (const [store, keyPath] of Object.entries(STORES)) {
+            if (!db.objectStoreNames.contains(store)) db.createObjectStore(store, { keyPath })
+        }
+    }
+    request.onsuccess = () => {
+        const db = request.result
+        db.onversionchange = () => db.close()
+        resolve(createIndexedDbStore(db))
+    }
+    request.onblocked = () => resolve(createMemoryStore(BLOCKED_WARNING))
+    request.onerror = () => resolve(createMemoryStore(UNSAVED_WARNING))
+})
@@ -0,0 +1,154 @@
+import { authors, genres } from './catalogue.js'
+import { toCsv } from './csv.js'
+import { EXCLUSIVE_SHELVES, ImportError } from './goodreadsImport.js'
+import { STORES } from './libraryDb.js'
+import { dateKey } from './readingProgress.js'
+
+export const BACKUP_FORMAT = 'book-connect-library'
+export const BACKUP_VERSION = 1
+
+export const CONFLICT_STRATEGIES = ['newest', 'backup', 'local']
+
+const isObject = (value) => typeof value === 'object' && value !== null
+const isText = (value) => typeof value === 'string'
+const isDate = (value) => isText(value) && /^\d{4}-\d{2}-\d{2}$/.test(value)
+const optional = (check) => (value) => value === undefined || value === null || check(value)
+
+const RECORD_SHAPES = {
+    shelves: record => isText(record.id) && isText(record.name),
+    memberships: record => isText(record.bookId)
+        && optional(isText)(record.status)
+        && optional(isDate)(record.addedAt)
+        && Array.isArray(record.shelves) && record.shelves.every(isText),
+    reviews: record => isText(record.bookId) && optional(Number.isFinite)(record.rating) && isText(record.review),
+    progress: record => isText(record.bookId)
+        && isDate(record.startedAt)
+        && optional(isDate)(record.finishedAt)
+        && Number.isFinite(record.currentPage)
+        && Array.isArray(record.log) && record.log.length > 0
+        && record.log.every(entry => isDate(entry?.date) && Number.isFinite(entry.page)),
+    settings: record => isText(record.key) && 'value' in record
+}
+
+const GOODREADS_SHELVES = Object.fromEntries(Object.entries(EXCLUSIVE_SHELVES).map(([name, status]) => [status, name]))
+
+const isoDate = (timestamp) => (timestamp ? dateKey(new Date(timestamp)) : '')
+
+const goodreadsDate = (date) => (date ? date.replace(/-/g, '/') : '')
+
+export const createBackup = (library) => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...Object.fromEntries(Object.keys(STORES).map(store => [store, library.records(store)]))
+})
+
+export const parseBackup = (text) => {
+    let backup
+    try {
+        backup = JSON.parse(text)
+    } catch {
+        throw new ImportError('The file is not valid JSON')
+    }
+    if (backup?.format !== BACKUP_FORMAT) throw new ImportError('This is not a Book Connect backup')
+    if (!(backup.version <= BACKUP_VERSION)) {
+        throw new ImportError(`This backup was made by a newer version of Book Connect (version ${backup.version})`)
+    }
+    for (const store of Object.keys(STORES)) {
+        const records = backup[store] || []
+        if (!Array.isArray(records) || records.some(record => !isObject(record) || !RECORD_SHAPES[store](record))) {
+            throw new ImportError(`The backup has invalid ${store} records`)
+        }
+        backup[store] = records
+    }
+    return backup
+}
+
+const sameRecord = (a, b) => JSON.stringify({ ...a, updatedAt: 0 }) === JSON.stringify({ ...b, updatedAt: 0 })
+
+export const compareBackup = (library, backup) => {
+    const changes = []
+    for (const [store, key] of Object.entries(STORES)) {
+        for (const incoming of backup[store]) {
+            const local = library.record(store, incoming[key])
+            const kind = !local ? 'new' : sameRecord(local, incoming) ? 'identical' : 'conflict'
+            changes.push({ store, kind, local, incoming })
+        }
+    }
+    return changes
+}
+
+const keepIncoming = ({ local, incoming }, strategy) => {
+    if (strategy === 'backup') return true
+    if (strategy === 'local') return false
+    return (incoming.updatedAt || 0) > (local.updatedAt || 0)
+}
+
+export const restoreBackup = async (library, backup, strategy = 'newest') => {
+    const summary = { added: 0, replaced: 0, kept: 0 }
+    for (const change of compareBackup(library, backup)) {
+        if (change.kind === 'identical') continue
+        if (change.kind === 'conflict' && !keepIncoming(change, strategy)) {
+            summary.kept++
+            continue
+        }
+        await library.putRecord(change.store, change.incoming)
+        summary[change.kind === 'new' ? 'added' : 'replaced']++
+    }
+    return summary
+}
+
+export const trackedBooks = (library, books) => {
+    const ids = new Set(['memberships', 'reviews', 'progress'].flatMap(store => library.records(store).map(record => record.bookId)))
+    return books.filter(book => ids.has(book.id))
+}
+
+export const libraryCsv = (library, books) => toCsv([
+    ['Title', 'Author', 'Published', 'Pages', 'Genres', 'Status', 'Shelves', 'Rating', 'Current page', 'Started', 'Finished', 'Review'],
+    ...trackedBooks(library, books).map(book => {
+        const { status, shelves, rating, progress } = library.entryFor(book.id)
+        return [
+            book.title,
+            authors[book.author],
+            book.published.getFullYear(),
+            book.pages,
+            book.genres.map(id => genres[id]).join('; '),
+            library.shelfName(status) || '',
+            shelves.map(id => library.shelfName(id)).filter(Boolean).join('; '),
+            rating || '',
+            progress?.currentPage ?? '',
+            progress?.startedAt || '',
+            progress?.finishedAt || '',
+            library.reviewFor(book.id).review
+        ]
+    })
+])
+
+export const goodreadsCsv = (library, books) => toCsv([
+    [
+        'Title', 'Author', 'Additional Authors', 'ISBN', 'ISBN13', 'My Rating', 'Number of Pages',
+        'Year Published', 'Original Publication Year', 'Date Read', 'Date Added', 'Bookshelves', 'Exclusive Shelf', 'My Review'
+    ],
+    ...trackedBooks(library, books).map(book => {
+        const { status, shelves, rating, progress } = library.entryFor(book.id)
+        const exclusive = GOODREADS_SHELVES[status] || ''
+        const membership = library.memberships.get(book.id)
+        const added = membership?.addedAt || isoDate(membership?.updatedAt || library.reviewFor(book.id).updatedAt)
+        return [
+            book.title,
+            authors[book.author],
+            '',
+            '',
+            '',
+            rating || 0,
+            book.pages,
+            book.published.getFullYear(),
+            book.published.getFullYear(),
+            goodreadsDate(progress?.finishedAt),
+            goodreadsDate(added),
+            [exclusive, ...shelves.map(id => library.shelfName(id)).filter(Boolean)].filter(Boolean).join(', '),
+            exclusive,
+            library.reviewFor(book.id).review.replace(/\n/g, '<br/>')
+        ]
+    })
+])
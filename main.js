@@ -1,8 +1,21 @@
-import { books, BOOKS_PER_PAGE } from './data.js'
+import { loadCatalogue, loadDescriptions } from './catalogue.js'
 import { createBookList } from './bookList.js'
 import { createBookUI } from './bookUI.js'
+import { loadLibrary } from './library.js'
+import { registerServiceWorker } from './connection.js'
 
+const showCatalogueError = () => {
+    const message = document.querySelector('[data-list-message]')
+    message.innerText = 'The catalogue could not be loaded. Check your connection and reload the page.'
+    message.classList.add('list__message_show')
+    document.querySelector('[data-list-button]').hidden = true
+}
 
-
-const bookList = createBookList(books, BOOKS_PER_PAGE)
-createBookUI(bookList)
+const [catalogue, library] = await Promise.all([loadCatalogue().catch(() => null), loadLibrary()])
+if (catalogue) {
+    const bookList = createBookList(catalogue.books, catalogue.booksPerPage, library, loadDescriptions)
+    const bookUI = createBookUI(bookList)
+    bookUI.setOfflineSupport(await registerServiceWorker())
+} else {
+    showCatalogueError()
+}
@@ -0,0 +1,82 @@
+const INLINE = /(\*\*([^*]+)\*\*|__([^_]+)__|\*([^*]+)\*|_([^_]+)_|`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\))/
+
+const renderInline = (text) => {
+    const fragment = document.createDocumentFragment()
+    let rest = text
+
+    while (rest) {
+        const match = INLINE.exec(rest)
+        if (!match) {
+            fragment.appendChild(document.createTextNode(rest))
+            break
+        }
+        if (match.index) fragment.appendChild(document.createTextNode(rest.slice(0, match.index)))
+
+        const [, , strong, strongAlt, em, emAlt, code, linkText, href] = match
+        let element
+        if (strong || strongAlt) {
+            element = document.createElement('strong')
+            element.appendChild(renderInline(strong || strongAlt))
+        } else if (em || emAlt) {
+            element = document.createElement('em')
+            element.appendChild(renderInline(em || emAlt))
+        } else if (code) {
+            element = document.createElement('code')
+            element.textContent = code
+        } else {
+            element = document.createElement('a')
+            element.href = href
+            element.rel = 'noopener noreferrer'
+            element.target = '_blank'
+            element.appendChild(renderInline(linkText))
+        }
+        fragment.appendChild(element)
+        rest = rest.slice(match.index + match[0].length)
+    }
+    return fragment
+}
+
+const renderList = (lines, ordered) => {
+    const list = document.createElement(ordered ? 'ol' : 'ul')
+    for (const line of lines) {
+        const item = document.createElement('li')
+        item.appendChild(renderInline(line.replace(/^\s*([-*+]|\d+\.)\s+/, '')))
+        list.appendChild(item)
+    }
+    return list
+}
+
+const renderBlock = (block) => {
+    const lines = block.split('\n')
+
+    const heading = block.match(/^(#{1,3})\s+(.*)$/)
+    if (heading && lines.length === 1) {
+        const element = document.createElement(`h${heading[1].length + 3}`)
+        element.appendChild(renderInline(heading[2]))
+        return element
+    }
+    if (lines.every(line => /^\s*[-*+]\s+/.test(line))) return renderList(lines, false)
+    if (lines.every(line => /^\s*\d+\.\s+/.test(line))) return renderList(lines, true)
+    if (lines.every(line => line.startsWith('>'))) {
+        const quote = document.createElement('blockquote')
+        quote.appendChild(renderMarkdown(lines.map(line => line.replace(/^>\s?/, '')).join('\n')))
+        return quote
+    }
+
+    const paragraph = document.createElement('p')
+    lines.forEach((line, index) => {
+        if (index) paragraph.appendChild(document.createElement('br'))
+        paragraph.appendChild(renderInline(line))
+    })
+    return paragraph
+}
+
+export const renderMarkdown = (text = '') => {
+    const fragment = document.createDocumentFragment()
+    text.replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map(block => block.trim())
+        .filter(Boolean)
+        .forEach(block => fragment.appendChild(renderBlock(block)))
+    return fragment
+}
@@ -0,0 +1,58 @@
+const SIBLINGS = 2
+
+export const pageNumbers = (current, total) => {
+    const pages = new Set([1, total])
+    for (let page = current - SIBLINGS; page <= current + SIBLINGS; page++) {
+        if (page >= 1 && page <= total) pages.add(page)
+    }
+    const sorted = [...pages].sort((a, b) => a - b)
+    return sorted.flatMap((page, index) => (index && page - sorted[index - 1] > 1 ? [null, page] : [page]))
+}
+
+export const createPager = ({ element, onSelect }) => {
+    const pager = {
+        element,
+        onSelect,
+
+        setup() {
+            this.element.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-page]')
+                if (button && !button.disabled) this.onSelect(Number(button.dataset.page))
+            })
+            return this
+        },
+
+        button(page, label, { current = false, disabled = false, ariaLabel = `Page ${page}` } = {}) {
+            const button = document.createElement('button')
+            button.type = 'button'
+            button.className = `pager__button${current ? ' pager__button_current' : ''}`
+            button.dataset.page = page
+            button.disabled = disabled
+            button.innerText = label
+            button.setAttribute('aria-label', ariaLabel)
+            if (current) button.setAttribute('aria-current', 'page')
+            return button
+        },
+
+        render(current, total) {
+            this.element.hidden = total <= 1
+            const numbers = pageNumbers(current, total).map((page) => {
+                if (page !== null) return this.button(page, String(page), { current: page === current })
+                const gap = document.createElement('span')
+                gap.className = 'pager__gap'
+                gap.innerText = '…'
+                return gap
+            })
+            this.element.replaceChildren(
+                this.button(current - 1, '‹ Previous', { disabled: current <= 1, ariaLabel: 'Previous page' }),
+                ...numbers,
+                this.button(current + 1, 'Next ›', { disabled: current >= total, ariaLabel: 'Next page' })
+            )
+        },
+
+        hide() {
+            this.element.hidden = true
+        }
+    }
+    return pager.setup()
+}
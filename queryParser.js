@@ -0,0 +1,221 @@
+import { authors, genres } from './catalogue.js'
+import { normalise, MATCH_THRESHOLD } from './fuzzy.js'
+
+const TEXT_FIELDS = ['title', 'author', 'genre', 'description']
+const NUMERIC_FIELDS = ['published', 'pages', 'popularity']
+const FIELD_ALIASES = { year: 'published', by: 'author' }
+
+export class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(`${message} (at character ${position + 1})`)
+        this.name = 'QuerySyntaxError'
+        this.position = position
+    }
+}
+
+const isBoundary = (char) => !char || /[\s()"]/.test(char)
+
+const isField = (name) => Object.hasOwn(FIELD_ALIASES, name) || TEXT_FIELDS.includes(name) || NUMERIC_FIELDS.includes(name)
+
+export const tokeniseQuery = (input) => {
+    const tokens = []
+    let position = 0
+
+    while (position < input.length) {
+        const char = input[position]
+        const start = position
+
+        if (/\s/.test(char)) {
+            position++
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, position: start })
+            position++
+        } else if (char === '"') {
+            const end = input.indexOf('"', position + 1)
+            if (end === -1) throw new QuerySyntaxError('Unclosed quote', start)
+            tokens.push({ type: 'phrase', value: input.slice(position + 1, end), position: start })
+            position = end + 1
+        } else if (char === '-' && (start === 0 || /[\s(]/.test(input[start - 1]))) {
+            tokens.push({ type: 'not', position: start })
+            position++
+        } else {
+            while (!isBoundary(input[position]) && input[position] !== ':') position++
+            const name = input.slice(start, position).toLowerCase()
+            if (input[position] === ':' && isField(name)) {
+                tokens.push({ type: 'field', value: name, position: start })
+                position++
+            } else {
+                while (!isBoundary(input[position])) position++
+                const value = input.slice(start, position)
+                if (value === 'OR' || value === 'AND') {
+                    tokens.push({ type: value.toLowerCase(), position: start })
+                } else {
+                    tokens.push({ type: 'word', value, position: start })
+                }
+            }
+        }
+    }
+    return tokens
+}
+
+const parseNumeric = (field, token) => {
+    const range = token.value.match(/^(\d+)\.\.(\d+)$/)
+    if (range) return { operator: '..', value: [Number(range[1]), Number(range[2])] }
+
+    const comparison = token.value.match(/^(>=|<=|>|<|=)?(\d+)$/)
+    if (!comparison) {
+        throw new QuerySyntaxError(`"${field}" needs a number, e.g. ${field}:>100 or ${field}:100..200`, token.position)
+    }
+    return { operator: comparison[1] || '=', value: Number(comparison[2]) }
+}
+
+export const parseQuery = (input = '') => {
+    const tokens = tokeniseQuery(input)
+    let cursor = 0
+
+    const peek = () => tokens[cursor]
+    const next = () => tokens[cursor++]
+
+    const parseTerm = () => {
+        const token = next()
+
+        if (token.type === 'not') {
+            if (!peek() || [')', 'or', 'and'].includes(peek().type)) {
+                throw new QuerySyntaxError('Nothing to exclude after "-"', token.position)
+            }
+            return { type: 'not', child: parseTerm() }
+        }
+
+        if (token.type === '(') {
+            const child = parseOr()
+            if (peek()?.type !== ')') throw new QuerySyntaxError('Missing closing parenthesis', token.position)
+            next()
+            return child
+        }
+
+        if (token.type === 'field') {
+            const field = FIELD_ALIASES[token.value] || token.value
+            const value = next()
+            if (!value || !['word', 'phrase'].includes(value.type) || !value.value.trim()) {
+                throw new QuerySyntaxError(`Expected a value after "${token.value}:"`, token.position)
+            }
+            if (NUMERIC_FIELDS.includes(field)) return { type: 'field', field, ...parseNumeric(field, value) }
+            return { type: 'field', field, operator: '=', value: value.value }
+        }
+
+        if (token.type === 'phrase') return { type: 'phrase', value: token.value }
+        if (token.type === 'word') return { type: 'word', value: token.value }
+        if (token.type === ')') throw new QuerySyntaxError('Unexpected ")"', token.position)
+        throw new QuerySyntaxError(`"${token.type.toUpperCase()}" needs a term on both sides`, token.position)
+    }
+
+    const parseAnd = () => {
+        const children = []
+        while (peek() && peek().type !== ')' && peek().type !== 'or') {
+            if (peek().type === 'and') {
+                const token = next()
+                if (!children.length || !peek()) throw new QuerySyntaxError('"AND" needs a term on both sides', token.position)
+                continue
+            }
+            children.push(parseTerm())
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children }
+    }
+
+    const parseOr = () => {
+        const children = [parseAnd()]
+        while (peek()?.type === 'or') {
+            const token = next()
+            const right = parseAnd()
+            if (isEmpty(children[children.length - 1]) || isEmpty(right)) {
+                throw new QuerySyntaxError('"OR" needs a term on both sides', token.position)
+            }
+            children.push(right)
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children }
+    }
+
+    const ast = parseOr()
+    if (peek()) throw new QuerySyntaxError('Unexpected ")"', peek().position)
+    return ast
+}
+
+const isEmpty = (node) => node.type === 'and' && !node.children.length
+
+const compareNumber = (actual, operator, expected) => {
+    switch (operator) {
+        case '>': return actual > expected
+        case '>=': return actual >= expected
+        case '<': return actual < expected
+        case '<=': return actual <= expected
+        case '..': return actual >= expected[0] && actual <= expected[1]
+        default: return actual === expected
+    }
+}
+
+const fieldPredicate = ({ field, operator, value }) => {
+    const needle = TEXT_FIELDS.includes(field) ? normalise(value) : null
+    switch (field) {
+        case 'title': return book => normalise(book.title).includes(needle)
+        case 'author': return book => normalise(authors[book.author]).includes(needle)
+        case 'genre': return book => book.genres.some(id => id === value || normalise(genres[id]) === needle)
+        case 'description': return book => normalise(book.description).includes(needle)
+        case 'published': return book => compareNumber(book.published.getFullYear(), operator, value)
+        default: return book => compareNumber(book[field], operator, value)
+    }
+}
+
+const compileNode = (node) => {
+    switch (node.type) {
+        case 'and': {
+            const children = node.children.map(compileNode)
+            return book => children.every(predicate => predicate(book))
+        }
+        case 'or': {
+            const children = node.children.map(compileNode)
+            return book => children.some(predicate => predicate(book))
+        }
+        case 'not': {
+            const child = compileNode(node.child)
+            return book => !child(book)
+        }
+        case 'phrase': {
+            const phrase = normalise(node.value)
+            return book => normalise(book.title).includes(phrase) || normalise(book.description).includes(phrase)
+        }
+        case 'word': return book => book.relevance(node.value) >= MATCH_THRESHOLD
+        default: return fieldPredicate(node)
+    }
+}
+
+export const compileQuery = (ast) => {
+    const topLevel = ast.type === 'and' ? ast.children : [ast]
+    const words = topLevel.filter(node => node.type === 'word')
+    const rest = topLevel.filter(node => node.type !== 'word')
+    return {
+        text: words.map(node => node.value).join(' '),
+        predicate: compileNode({ type: 'and', children: rest })
+    }
+}
+
+export const queryTerms = (node) => {
+    switch (node.type) {
+        case 'and':
+        case 'or': return node.children.flatMap(queryTerms)
+        case 'not': return []
+        case 'word':
+        case 'phrase': return [node.value]
+        default: return ['title', 'author', 'description'].includes(node.field) ? [node.value] : []
+    }
+}
+
+export const readsDescriptions = (node) => {
+    switch (node.type) {
+        case 'and':
+        case 'or': return node.children.some(readsDescriptions)
+        case 'not': return readsDescriptions(node.child)
+        case 'phrase': return true
+        case 'field': return node.field === 'description'
+        default: return false
+    }
+}
@@ -0,0 +1,51 @@
+export const createRangeSlider = ({ name, label, min, max }) => {
+    const slider = {
+        element: document.createElement('fieldset'),
+        lower: document.createElement('input'),
+        upper: document.createElement('input'),
+        output: document.createElement('output'),
+
+        build() {
+            this.element.className = 'overlay__field overlay__fieldset overlay__range'
+            const legend = document.createElement('legend')
+            legend.className = 'overlay__label'
+            legend.innerText = label
+
+            const track = document.createElement('div')
+            track.className = 'overlay__input overlay__range-track'
+            for (const [input, suffix, value] of [[this.lower, 'Min', min], [this.upper, 'Max', max]]) {
+                input.type = 'range'
+                input.name = `${name}${suffix}`
+                input.min = min
+                input.max = max
+                input.value = value
+                input.setAttribute('aria-label', `${label} ${suffix === 'Min' ? 'from' : 'to'}`)
+                input.addEventListener('input', () => this.clamp(input))
+            }
+            this.output.className = 'overlay__range-values'
+            track.append(this.lower, this.upper, this.output)
+            this.element.append(legend, track)
+            this.update()
+            return this
+        },
+
+        clamp(changed) {
+            if (Number(this.lower.value) > Number(this.upper.value)) {
+                if (changed === this.lower) this.upper.value = this.lower.value
+                else this.lower.value = this.upper.value
+            }
+            this.update()
+        },
+
+        setValues(from = min, to = max) {
+            this.lower.value = from
+            this.upper.value = to
+            this.update()
+        },
+
+        update() {
+            this.output.innerText = `${this.lower.value} – ${this.upper.value}`
+        }
+    }
+    return slider.build()
+}
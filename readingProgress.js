@@ -0,0 +1,55 @@
+const DAY = 24 * 60 * 60 * 1000
+
+const dayNumber = (date) => Math.floor(Date.parse(date) / DAY)
+
+export const dateKey = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-')
+
+const fromDateKey = (key) => {
+    const [year, month, day] = key.split('-').map(Number)
+    return new Date(year, month - 1, day)
+}
+
+export const today = () => dateKey(new Date())
+
+export const progressPercent = (progress, pages) => {
+    if (!progress || !pages) return 0
+    return Math.min(100, Math.round((progress.currentPage / pages) * 100))
+}
+
+export const readingDays = (progress) => {
+    const last = progress?.log.at(-1)
+    if (!last) return 0
+    return Math.max(1, dayNumber(last.date) - dayNumber(progress.startedAt) + 1)
+}
+
+export const readingPace = (progress) => {
+    const days = readingDays(progress)
+    return days ? progress.currentPage / days : 0
+}
+
+export const estimateFinish = (progress, pages) => {
+    const pace = readingPace(progress)
+    if (!pace || progress.finishedAt) return null
+    const remaining = Math.max(0, pages - progress.currentPage)
+    const finish = fromDateKey(progress.log.at(-1).date)
+    finish.setDate(finish.getDate() + Math.ceil(remaining / pace))
+    return finish
+}
+
+export const describeProgress = (progress, pages) => {
+    if (!progress) return 'Not started'
+    const parts = [`Page ${progress.currentPage} of ${pages}`, `${progressPercent(progress, pages)}%`]
+    if (progress.finishedAt) {
+        parts.push(`finished ${fromDateKey(progress.finishedAt).toLocaleDateString()} after ${readingDays(progress)} days`)
+        return parts.join(' · ')
+    }
+    const pace = readingPace(progress)
+    if (pace) parts.push(`${pace < 10 ? pace.toFixed(1) : Math.round(pace)} pages/day`)
+    const finish = estimateFinish(progress, pages)
+    if (finish) parts.push(`finish around ${finish.toLocaleDateString()}`)
+    return parts.join(' · ')
+}
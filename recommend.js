@@ -0,0 +1,77 @@
+import { normalise } from './fuzzy.js'
+
+const WEIGHTS = { text: 0.5, genres: 0.35, author: 0.15 }
+
+const jaccard = (a, b) => {
+    const shared = a.filter(item => b.includes(item)).length
+    const total = new Set([...a, ...b]).size
+    return total ? shared / total : 0
+}
+
+export const createRecommender = (books, index) => {
+    const recommender = {
+        books,
+        index,
+        vectors: null,
+        norms: null,
+
+        buildVectors() {
+            this.vectors = new Map(this.books.map(book => [book.id, new Map()]))
+            for (const [term, postings] of this.index.postings) {
+                const weight = this.index.inverseFrequency(term)
+                for (const [id, frequency] of postings) {
+                    this.vectors.get(id)?.set(term, (1 + Math.log(frequency)) * weight)
+                }
+            }
+            this.norms = new Map()
+            for (const [id, vector] of this.vectors) {
+                let sum = 0
+                for (const value of vector.values()) sum += value * value
+                this.norms.set(id, Math.sqrt(sum))
+            }
+        },
+
+        textSimilarities(book) {
+            if (!this.vectors) this.buildVectors()
+            const vector = this.vectors.get(book.id)
+            const dots = new Map()
+            for (const [term, weight] of vector || []) {
+                for (const id of this.index.postings.get(term)?.keys() || []) {
+                    dots.set(id, (dots.get(id) || 0) + weight * this.vectors.get(id).get(term))
+                }
+            }
+
+            const norm = this.norms.get(book.id)
+            const similarities = new Map()
+            for (const [id, dot] of dots) {
+                if (norm && this.norms.get(id)) similarities.set(id, dot / (norm * this.norms.get(id)))
+            }
+            return similarities
+        },
+
+        recommend(book, limit = 8) {
+            const text = this.textSimilarities(book)
+            const title = normalise(book.title)
+
+            const seen = new Set([title])
+            return this.books
+                .filter(other => other.id !== book.id)
+                .map(other => ({
+                    book: other,
+                    score: WEIGHTS.text * (text.get(other.id) || 0)
+                        + WEIGHTS.genres * jaccard(book.genres, other.genres)
+                        + WEIGHTS.author * (other.author === book.author ? 1 : 0)
+                }))
+                .sort((a, b) => b.score - a.score)
+                .filter(({ book: other }) => {
+                    const key = normalise(other.title)
+                    if (seen.has(key)) return false
+                    seen.add(key)
+                    return true
+                })
+                .slice(0, limit)
+                .map(({ book: other }) => other)
+        }
+    }
+    return recommender
+}
@@ -0,0 +1,41 @@
+const compilePattern = (path) => new RegExp(`^${path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`)
+
+export const createRouter = (routes, fallback) => {
+    const router = {
+        routes: routes.map(({ path, handler }) => ({ pattern: compilePattern(path), handler })),
+
+        start() {
+            window.addEventListener('hashchange', () => this.resolve())
+            this.resolve()
+            return this
+        },
+
+        current() {
+            const [path, query = ''] = window.location.hash.replace(/^#/, '').split('?')
+            return { path: path || '/', params: new URLSearchParams(query) }
+        },
+
+        resolve() {
+            const { path, params } = this.current()
+            for (const { pattern, handler } of this.routes) {
+                const match = pattern.exec(path)
+                if (!match) continue
+                const values = Object.entries(match.groups || {}).map(([key, value]) => [key, decodeURIComponent(value)])
+                return handler(Object.fromEntries(values), params)
+            }
+            return fallback(params)
+        },
+
+        navigate(path, { replace = false } = {}) {
+            const hash = `#${path}`
+            if (replace) {
+                window.history.replaceState(window.history.state, '', hash)
+            } else if (window.location.hash === hash) {
+                this.resolve()
+            } else {
+                window.location.hash = hash
+            }
+        }
+    }
+    return router
+}
@@ -0,0 +1,105 @@
+import { authors, genres } from './catalogue.js'
+import { RANGE_FIELDS } from './book.js'
+import { createId } from './utils.js'
+
+const STORAGE_KEY = 'book-connect:searches'
+const MAX_RECENT = 20
+
+const fingerprint = (filters) => JSON.stringify(Object.keys(filters).sort().map(key => [key, filters[key]]))
+
+export const describeFilters = (filters, bounds = {}, shelfNames = {}) => {
+    const parts = []
+    if (filters.title?.trim()) parts.push(`“${filters.title.trim()}”${filters.descriptions ? ' in descriptions' : ''}`)
+
+    const selectedGenres = [].concat(filters.genre || []).map(id => genres[id]).filter(Boolean)
+    if (selectedGenres.length) parts.push(selectedGenres.join(filters.genreMode === 'all' ? ' + ' : ' / '))
+
+    const selectedAuthors = [].concat(filters.author || []).map(id => authors[id]).filter(Boolean)
+    if (selectedAuthors.length) parts.push(selectedAuthors.join(', '))
+    if (shelfNames[filters.shelf]) parts.push(`on ${shelfNames[filters.shelf]}`)
+    if (Number(filters.minRating)) parts.push(`rated ${filters.minRating}★ or more`)
+
+    for (const field of RANGE_FIELDS) {
+        const min = filters[`${field}Min`]
+        const max = filters[`${field}Max`]
+        const { min: lowest, max: highest } = bounds[field] || {}
+        if ((min && Number(min) !== lowest) || (max && Number(max) !== highest)) {
+            parts.push(`${field} ${min || lowest}–${max || highest}`)
+        }
+    }
+    return parts.join(' · ') || 'All books'
+}
+
+const browserStorage = () => {
+    try {
+        return window.localStorage
+    } catch {
+        return null
+    }
+}
+
+export const createSearchHistory = (storage = browserStorage()) => {
+    const history = {
+        entries: [],
+
+        load() {
+            try {
+                this.entries = JSON.parse(storage.getItem(STORAGE_KEY)) || []
+            } catch {
+                this.entries = []
+            }
+            return this
+        },
+
+        persist() {
+            try {
+                storage.setItem(STORAGE_KEY, JSON.stringify(this.entries))
+            } catch {
+                // Without storage the history only lasts for this visit.
+            }
+        },
+
+        list() {
+            return [...this.entries].sort((a, b) => (b.pinned - a.pinned) || (b.lastUsedAt - a.lastUsedAt))
+        },
+
+        record(filters) {
+            const key = fingerprint(filters)
+            const existing = this.entries.find(entry => fingerprint(entry.filters) === key)
+            if (existing) {
+                existing.lastUsedAt = Date.now()
+            } else {
+                this.entries.push({ id: createId(), filters, name: '', pinned: false, lastUsedAt: Date.now() })
+            }
+
+            const recent = this.entries.filter(entry => !entry.pinned && !entry.name)
+            const overflow = new Set(recent.sort((a, b) => b.lastUsedAt - a.lastUsedAt).slice(MAX_RECENT))
+            this.entries = this.entries.filter(entry => !overflow.has(entry))
+            this.persist()
+        },
+
+        get(id) {
+            return this.entries.find(entry => entry.id === id)
+        },
+
+        rename(id, name) {
+            const entry = this.get(id)
+            if (!entry) return
+            entry.name = name.trim()
+            this.persist()
+        },
+
+        togglePin(id) {
+            const entry = this.get(id)
+            if (!entry) return
+            entry.pinned = !entry.pinned
+            this.persist()
+        },
+
+        remove(id) {
+            this.entries = this.entries.filter(entry => entry.id !== id)
+            this.persist()
+        }
+    }
+    return history.load()
+}
@@ -0,0 +1,41 @@
+import { RANGE_FIELDS } from './book.js'
+
+export const filtersToParams = (filters, bounds = {}) => {
+    const params = new URLSearchParams()
+    if (filters.title?.trim()) params.set('title', filters.title.trim())
+    if (filters.descriptions) params.set('descriptions', '1')
+    for (const name of ['genre', 'author']) {
+        for (const value of [].concat(filters[name] || [])) {
+            if (value && value !== 'any') params.append(name, value)
+        }
+    }
+    if (filters.genreMode === 'all') params.set('genreMode', 'all')
+    if (filters.shelf) params.set('shelf', filters.shelf)
+    if (Number(filters.minRating)) params.set('minRating', filters.minRating)
+
+    for (const field of RANGE_FIELDS) {
+        for (const [suffix, bound] of [['Min', bounds[field]?.min], ['Max', bounds[field]?.max]]) {
+            const value = filters[`${field}${suffix}`]
+            if (value !== undefined && value !== '' && Number(value) !== bound) params.set(`${field}${suffix}`, value)
+        }
+    }
+    return params
+}
+
+export const paramsToFilters = (params) => {
+    const filters = {
+        title: params.get('title') || '',
+        genre: params.getAll('genre'),
+        author: params.getAll('author'),
+        genreMode: params.get('genreMode') || 'any'
+    }
+    if (params.has('descriptions')) filters.descriptions = 'on'
+    if (params.has('shelf')) filters.shelf = params.get('shelf')
+    if (params.has('minRating')) filters.minRating = params.get('minRating')
+    for (const field of RANGE_FIELDS) {
+        for (const suffix of ['Min', 'Max']) {
+            if (params.has(`${field}${suffix}`)) filters[`${field}${suffix}`] = params.get(`${field}${suffix}`)
+        }
+    }
+    return filters
+}
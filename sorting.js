@@ -0,0 +1,30 @@
+import { authors } from './catalogue.js'
+
+const NAME_SUFFIXES = /^(jr|sr|ii|iii|iv|phd)\.?$/i
+
+export const surname = (name = '') => {
+    const parts = name.trim().split(/\s+/)
+    while (parts.length > 1 && NAME_SUFFIXES.test(parts[parts.length - 1])) parts.pop()
+    return parts[parts.length - 1]
+}
+
+export const SORT_FIELDS = {
+    title: book => book.title,
+    author: book => `${surname(authors[book.author])} ${authors[book.author]}`,
+    published: book => book.published.getTime(),
+    popularity: book => book.popularity,
+    pages: book => book.pages,
+    rating: (book, { library }) => library?.ratingFor(book.id) || 0
+}
+
+const compareValues = (a, b) => {
+    if (typeof a === 'string') return a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true })
+    return (a ?? 0) - (b ?? 0)
+}
+
+export const sortBooks = (books, key = 'relevance', direction = 'asc', context = {}) => {
+    const field = SORT_FIELDS[key]
+    if (!field) return [...books]
+    const order = direction === 'desc' ? -1 : 1
+    return [...books].sort((a, b) => order * compareValues(field(a, context), field(b, context)))
+}
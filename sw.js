@@ -0,0 +1,177 @@
+const VERSION = 6
+const APP_CACHE = `book-connect-app-v${VERSION}`
+const RUNTIME_CACHE = 'book-connect-runtime'
+const COVER_CACHE = 'book-connect-covers-v2'
+const MAX_COVER_BYTES = 25 * 1024 * 1024
+const COVER_SIZE_HEADER = 'x-cover-bytes'
+const CATALOGUE_INDEX = './catalogue/index.json'
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './styles.css',
+    CATALOGUE_INDEX,
+    './main.js',
+    './authorView.js',
+    './autocomplete.js',
+    './book.js',
+    './bookList.js',
+    './bookStats.js',
+    './bookUI.js',
+    './catalogue.js',
+    './challenge.js',
+    './challengeView.js',
+    './connection.js',
+    './csv.js',
+    './exportView.js',
+    './fuzzy.js',
+    './genreView.js',
+    './goodreadsImport.js',
+    './highlight.js',
+    './importView.js',
+    './library.js',
+    './libraryDb.js',
+    './libraryExport.js',
+    './markdown.js',
+    './pager.js',
+    './queryParser.js',
+    './rangeSlider.js',
+    './readingProgress.js',
+    './recommend.js',
+    './router.js',
+    './searchHistory.js',
+    './searchParams.js',
+    './sorting.js',
+    './textIndex.js',
+    './utils.js',
+    './virtualGrid.js',
+    './meta/manifest.json',
+    './meta/favicon.ico',
+    './meta/favicon-16x16.png',
+    './meta/favicon-32x32.png',
+    './meta/android-chrome-192x192.png',
+    './meta/android-chrome-256x256.png'
+]
+
+const catalogueChunks = async () => {
+    const response = await fetch(CATALOGUE_INDEX)
+    if (!response.ok) throw new Error(`Could not load ${CATALOGUE_INDEX} (${response.status})`)
+    const { chunks } = await response.json()
+    return Array.from({ length: chunks }, (_, chunk) => `./catalogue/descriptions-${chunk}.json`)
+}
+
+const isCover = (request) => request.destination === 'image' && new URL(request.url).origin !== self.location.origin
+
+let coverIndex = null
+
+const readCoverIndex = async (cache) => {
+    const keys = await cache.keys()
+    const sizes = await Promise.all(keys.map(async key => Number((await cache.match(key))?.headers.get(COVER_SIZE_HEADER)) || 0))
+    return {
+        sizes: new Map(keys.map((key, index) => [key.url, sizes[index]])),
+        total: sizes.reduce((sum, size) => sum + size, 0)
+    }
+}
+
+// The cache is scanned once per worker start; after that a running total keeps trimming proportional to what is evicted.
+const touchCover = async (cache, url, size) => {
+    coverIndex ||= readCoverIndex(cache)
+    const index = await coverIndex
+    index.total += size - (index.sizes.get(url) || 0)
+    index.sizes.delete(url)
+    index.sizes.set(url, size)
+    for (const [oldest, bytes] of index.sizes) {
+        if (index.total <= MAX_COVER_BYTES) break
+        index.sizes.delete(oldest)
+        index.total -= bytes
+        await cache.delete(oldest)
+    }
+}
+
+// Opaque responses cannot be measured and count as several megabytes towards the quota, so covers are only cached when the host allows CORS.
+const fetchCover = async (request) => {
+    try {
+        return await fetch(request.url, { mode: 'cors', credentials: 'omit' })
+    } catch {
+        return fetch(request)
+    }
+}
+
+const coverResponse = async (request) => {
+    const cache = await caches.open(COVER_CACHE)
+    const cached = await cache.match(request)
+    if (cached) {
+        // Re-inserting moves the cover to the end of cache.keys(), so trimming from the front evicts the least recently used.
+        await cache.delete(request)
+        await cache.put(request, cached.clone())
+        await touchCover(cache, request.url, Number(cached.headers.get(COVER_SIZE_HEADER)) || 0)
+        return cached
+    }
+
+    const response = await fetchCover(request)
+    if (response.ok) {
+        const body = await response.clone().blob()
+        const headers = new Headers(response.headers)
+        headers.set(COVER_SIZE_HEADER, body.size)
+        await cache.put(request, new Response(body, { status: response.status, headers }))
+        await touchCover(cache, request.url, body.size)
+    }
+    return response
+}
+
+const pageResponse = async (request) => {
+    try {
+        const response = await fetch(request)
+        if (response.ok) {
+            const cache = await caches.open(APP_CACHE)
+            await cache.put('./index.html', response.clone())
+        }
+        return response
+    } catch (error) {
+        const cached = await caches.match('./index.html')
+        if (cached) return cached
+        throw error
+    }
+}
+
+const assetResponse = async (request) => {
+    const cached = await caches.match(request)
+    const update = fetch(request).then(async (response) => {
+        if (response.ok) {
+            const sameOrigin = new URL(request.url).origin === self.location.origin
+            const cache = await caches.open(sameOrigin ? APP_CACHE : RUNTIME_CACHE)
+            await cache.put(request, response.clone())
+        }
+        return response
+    })
+    if (!cached) return update
+    update.catch(() => null)
+    return cached
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(APP_CACHE)
+        .then(async cache => cache.addAll([...APP_SHELL, ...await catalogueChunks()]))
+        .then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('book-connect-') && ![APP_CACHE, RUNTIME_CACHE, COVER_CACHE].includes(key))
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()))
+})
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event
+    if (request.method !== 'GET') return
+
+    if (isCover(request)) {
+        event.respondWith(coverResponse(request))
+    } else if (request.mode === 'navigate') {
+        event.respondWith(pageResponse(request))
+    } else if (request.url.startsWith('http')) {
+        event.respondWith(assetResponse(request))
+    }
+})
@@ -0,0 +1,89 @@
+import { normalise } from './fuzzy.js'
+
+const TITLE_WEIGHT = 3
+
+export const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+    'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his',
+    'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'more', 'my', 'no', 'not', 'of', 'on', 'one',
+    'or', 'our', 'out', 's', 'she', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+    'they', 'this', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'will',
+    'with', 'would', 'you', 'your'
+])
+
+const SUFFIXES = [
+    ['ational', 'ate'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'], ['ization', 'ize'],
+    ['ations', 'ate'], ['ation', 'ate'], ['ments', ''], ['ment', ''], ['ness', ''], ['ingly', ''],
+    ['edly', ''], ['ing', ''], ['ies', 'y'], ['ied', 'y'], ['ers', ''], ['er', ''], ['ed', ''],
+    ['ly', ''], ['es', ''], ['s', '']
+]
+
+export const stem = (word) => {
+    if (word.length <= 3) return word
+    for (const [suffix, replacement] of SUFFIXES) {
+        if (!word.endsWith(suffix)) continue
+        const base = word.slice(0, -suffix.length)
+        if (base.length < 3) continue
+        if (suffix === 's' && (base.endsWith('s') || base.endsWith('u'))) return word
+        return (base + replacement).replace(/([^aeiouls])\1$/, '$1')
+    }
+    return word
+}
+
+export const tokenise = (text) => normalise(text)
+    .split(' ')
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem)
+
+export const createInvertedIndex = (books = []) => {
+    const index = {
+        postings: new Map(),
+        documentCount: 0,
+
+        add(book) {
+            this.addText(book.id, book.title, TITLE_WEIGHT)
+            this.addText(book.id, book.description || '', 1)
+            this.documentCount++
+        },
+
+        addText(id, text, weight = 1) {
+            const counts = new Map()
+            for (const term of tokenise(text)) counts.set(term, (counts.get(term) || 0) + weight)
+
+            for (const [term, frequency] of counts) {
+                if (!this.postings.has(term)) this.postings.set(term, new Map())
+                const postings = this.postings.get(term)
+                postings.set(id, (postings.get(id) || 0) + frequency)
+            }
+        },
+
+        inverseFrequency(term) {
+            const documents = this.postings.get(term)?.size || 0
+            return Math.log(1 + this.documentCount / (1 + documents))
+        },
+
+        search(query) {
+            const terms = [...new Set(tokenise(query))]
+            if (!terms.length) return []
+
+            const scores = new Map()
+            const hits = new Map()
+            for (const term of terms) {
+                const weight = this.inverseFrequency(term)
+                for (const [id, frequency] of this.postings.get(term) || []) {
+                    scores.set(id, (scores.get(id) || 0) + (1 + Math.log(frequency)) * weight)
+                    hits.set(id, (hits.get(id) || 0) + 1)
+                }
+            }
+
+            const required = Math.ceil(terms.length * 0.66)
+            return [...scores]
+                .filter(([id]) => hits.get(id) >= required)
+                .map(([id, score]) => ({ id, score }))
+                .sort((a, b) => b.score - a.score)
+        }
+    }
+
+    books.forEach(book => index.add(book))
+    return index
+}
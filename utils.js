@@ -0,0 +1,22 @@
+export const debounce = (callback, delay) => {
+    let timer = null
+    const debounced = (...args) => {
+        clearTimeout(timer)
+        timer = setTimeout(() => callback(...args), delay)
+    }
+    debounced.cancel = () => clearTimeout(timer)
+    return debounced
+}
+
+export const downloadFile = (name, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = name
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+export const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
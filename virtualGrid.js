@@ -0,0 +1,117 @@
+const OVERSCAN_ROWS = 3
+const END_THRESHOLD_ROWS = 4
+
+export const createVirtualGrid = ({ container, renderItem, onEndReached }) => {
+    const grid = {
+        container,
+        renderItem,
+        onEndReached,
+        items: [],
+        active: false,
+        columns: 1,
+        rowHeight: 0,
+        range: null,
+        frame: null,
+        endPending: false,
+
+        start() {
+            if (this.active) return
+            this.active = true
+            this.container.classList.add('list__items_virtual')
+            this.handleScroll = () => this.schedule()
+            this.handleResize = () => {
+                this.rowHeight = 0
+                this.schedule()
+            }
+            window.addEventListener('scroll', this.handleScroll, { passive: true })
+            window.addEventListener('resize', this.handleResize)
+        },
+
+        stop() {
+            if (!this.active) return
+            this.active = false
+            window.removeEventListener('scroll', this.handleScroll)
+            window.removeEventListener('resize', this.handleResize)
+            cancelAnimationFrame(this.frame)
+            this.frame = null
+            this.range = null
+            this.rowHeight = 0
+            this.container.classList.remove('list__items_virtual')
+            for (const property of ['--row-height', '--offset-top', '--offset-bottom']) {
+                this.container.style.removeProperty(property)
+            }
+        },
+
+        setItems(items) {
+            this.items = items
+            this.range = null
+            this.update()
+        },
+
+        schedule() {
+            if (this.frame) return
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null
+                this.update()
+            })
+        },
+
+        measure() {
+            const style = getComputedStyle(this.container)
+            this.columns = Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length)
+            this.container.style.removeProperty('--row-height')
+            this.renderRange(0, Math.min(this.items.length, this.columns * 2))
+            const heights = [...this.container.children].map(item => item.getBoundingClientRect().height)
+            const gap = parseFloat(style.rowGap) || 0
+            const height = Math.max(0, ...heights)
+            if (height) {
+                this.container.style.setProperty('--row-height', `${height}px`)
+                this.rowHeight = height + gap
+            }
+            this.range = null
+        },
+
+        visibleRows() {
+            const rows = Math.ceil(this.items.length / this.columns)
+            if (!this.rowHeight) return [0, rows - 1]
+            const top = -this.container.getBoundingClientRect().top
+            const first = Math.floor(top / this.rowHeight) - OVERSCAN_ROWS
+            const last = Math.ceil((top + window.innerHeight) / this.rowHeight) + OVERSCAN_ROWS
+            return [Math.max(0, first), Math.min(rows - 1, last)]
+        },
+
+        update() {
+            if (!this.active) return
+            if (!this.rowHeight) this.measure()
+
+            const rows = Math.ceil(this.items.length / this.columns)
+            const [firstRow, lastRow] = this.visibleRows()
+            const start = firstRow * this.columns
+            const end = Math.min(this.items.length, (lastRow + 1) * this.columns)
+            if (this.range?.start !== start || this.range?.end !== end) {
+                this.renderRange(start, end)
+                this.container.style.setProperty('--offset-top', `${firstRow * this.rowHeight}px`)
+                this.container.style.setProperty('--offset-bottom', `${Math.max(0, rows - lastRow - 1) * this.rowHeight}px`)
+            }
+
+            if (this.rowHeight && lastRow >= rows - END_THRESHOLD_ROWS) this.reachEnd()
+        },
+
+        reachEnd() {
+            if (this.endPending) return
+            this.endPending = true
+            requestAnimationFrame(() => {
+                this.endPending = false
+                if (this.active) this.onEndReached()
+            })
+        },
+
+        renderRange(start, end) {
+            this.range = { start, end }
+            const fragment = document.createDocumentFragment()
+            this.items.slice(start, end).forEach(item => fragment.appendChild(this.renderItem(item)))
+            this.container.replaceChildren(fragment)
+        }
+    }
+    return grid
+}